@@ -9,11 +9,12 @@
  * ✅ Document chunking with splitting
  * ✅ Text embedding using Google Gemini AI
  * ✅ Pinecone vector database integration
- * ✅ Batch processing with rate limiting
+ * ✅ Batched embeddings and upserts with adaptive rate limiting
  * ✅ Comprehensive error handling
  * ✅ Flexible namespace management
  * ✅ Built-in query functionality
  * ✅ Sample documents for testing
+ * ✅ API keys kept in Script Properties with preflight checks
  * 
  * USE CASES:
  * • Build semantic search systems
@@ -25,18 +26,164 @@
  * 1. Documents → Text chunks → Vector embeddings → Pinecone storage
  * 2. Query text → Vector embedding → Semantic search → Relevant results
  * 
+ * SETUP:
+ * 1. Run setupConfiguration() (or add the CONFIG_KEYS under Project Settings → Script Properties)
+ * 2. Run preflightCheck() until every check passes
+ * 
  */
 
-// Configuration - UPDATE THESE VALUES
+// Configuration - stored in Script Properties (see setupConfiguration), never in this file
+const CONFIG_KEYS = {
+  GEMINI_API_KEY: 'Gemini API key',
+  PINECONE_API_KEY: 'Pinecone API key',
+  PINECONE_HOST: 'Pinecone index host, e.g. https://my-index-abc123.svc.us-east-1.pinecone.io'
+};
+
 const CONFIG = {
-  GEMINI_API_KEY: 'YOUR_GEMINI_API_KEY_HERE',
-  PINECONE_API_KEY: 'YOUR_PINECONE_API_KEY_HERE',
-  PINECONE_HOST: 'YOUR_PINECONE_HOST_URL_HERE'
+  get GEMINI_API_KEY() { return getConfigValue('GEMINI_API_KEY'); },
+  get PINECONE_API_KEY() { return getConfigValue('PINECONE_API_KEY'); },
+  get PINECONE_HOST() { return getConfigValue('PINECONE_HOST').replace(/\/+$/, ''); }
 };
 
+// Batching & rate limiting
+const BATCH_CONFIG = {
+  EMBEDDING_MODEL: 'text-embedding-004',
+  EMBED_BATCH_SIZE: 100,             // Gemini batchEmbedContents accepts up to 100 texts
+  EMBED_MAX_BYTES: 1000000,          // Text per Gemini request, well under its request size limit
+  UPSERT_BATCH_SIZE: 100,            // Vectors per Pinecone upsert (Pinecone allows up to 1000)
+  UPSERT_MAX_BYTES: 1800000,         // Pinecone rejects upsert requests over 2 MB
+  MAX_RETRIES: 5,                    // Retries of a 429 / 5xx response before giving up
+  INITIAL_BACKOFF_MS: 1000,          // First wait when there is no Retry-After header
+  MAX_BACKOFF_MS: 60000,             // Longest backoff wait (a Retry-After header is always honoured)
+  MAX_RUNTIME_MS: 330000             // Stop waiting past 5.5 minutes - Apps Script stops runs at 6
+};
+
+// Pacing delay per service, raised by 429 responses and halved on success
+const rateLimitDelays = {};
+
+// When this execution started, for the time left before the Apps Script limit
+const executionStartedAt = Date.now();
+
+// Script Properties read in this execution (see getConfigValue)
+let configValues = null;
+
+/**
+ * Read a configuration value from Script Properties (loaded once per run)
+ */
+function getConfigValue(key) {
+  if (!configValues) {
+    configValues = PropertiesService.getScriptProperties().getProperties();
+  }
+  return (configValues[key] || '').toString().trim();
+}
+
+/**
+ * STEP 0: Store your API keys in Script Properties
+ * Shows an input dialog for each missing key when the script is bound to a Sheet, Doc or Form;
+ * otherwise add them under Project Settings → Script Properties
+ */
+function setupConfiguration() {
+  let ui = null;
+  try {
+    ui = SpreadsheetApp.getUi();
+  } catch (error) {
+    console.log('🔐 No dialog available - add these Script Properties under Project Settings → Script Properties:');
+    Object.keys(CONFIG_KEYS).forEach(key => {
+      console.log(`   ${key}: ${CONFIG_KEYS[key]}${getConfigValue(key) ? ' (already set)' : ''}`);
+    });
+    return false;
+  }
+  
+  const values = {};
+  for (const [key, description] of Object.entries(CONFIG_KEYS)) {
+    const current = getConfigValue(key) ? ' (leave blank to keep the stored value)' : '';
+    const response = ui.prompt('Vector Database Setup', `${description}${current}`, ui.ButtonSet.OK_CANCEL);
+    if (response.getSelectedButton() !== ui.Button.OK) {
+      console.log('Setup cancelled');
+      return false;
+    }
+    values[key] = response.getResponseText();
+  }
+  
+  saveConfiguration(values);
+  return preflightCheck();
+}
+
+/**
+ * Save configuration values to Script Properties (blank values keep the stored ones)
+ */
+function saveConfiguration(values) {
+  const properties = PropertiesService.getScriptProperties();
+  const saved = Object.keys(CONFIG_KEYS).filter(key => (values[key] || '').trim());
+  saved.forEach(key => properties.setProperty(key, values[key].trim()));
+  configValues = null;
+  console.log(`🔐 Saved: ${saved.join(', ') || 'nothing'}`);
+  return saved;
+}
+
+/**
+ * Check the keys are set and accepted, and that Gemini embeddings fit the Pinecone index
+ * Run this after setupConfiguration() and before embedDocuments()
+ */
+function preflightCheck() {
+  console.log('🛫 Running preflight checks...');
+  let passed = true;
+  const fail = message => {
+    console.error(`❌ ${message}`);
+    passed = false;
+  };
+  
+  const missing = Object.keys(CONFIG_KEYS).filter(key => !getConfigValue(key) || /^YOUR_\w+_HERE$/.test(getConfigValue(key)));
+  if (missing.length > 0) {
+    fail(`Not set: ${missing.join(', ')} - run setupConfiguration()`);
+    return false;
+  }
+  console.log('✅ All keys stored in Script Properties');
+  
+  // Pinecone: key accepted and index dimension
+  let dimension = null;
+  try {
+    const response = UrlFetchApp.fetch(CONFIG.PINECONE_HOST + '/describe_index_stats', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Api-Key': CONFIG.PINECONE_API_KEY
+      },
+      payload: JSON.stringify({}),
+      muteHttpExceptions: true
+    });
+    
+    const code = response.getResponseCode();
+    if (code === 200) {
+      dimension = JSON.parse(response.getContentText()).dimension;
+      console.log(`✅ Pinecone key accepted (index dimension ${dimension})`);
+    } else if (code === 401 || code === 403) {
+      fail('Pinecone rejected the API key');
+    } else {
+      fail(`Pinecone returned ${code}: ${response.getContentText().substring(0, 200)}`);
+    }
+  } catch (error) {
+    fail(`Cannot reach Pinecone at ${CONFIG.PINECONE_HOST}: ${error.toString()}`);
+  }
+  
+  // Gemini: key accepted and embedding size matches the index
+  const embedding = getEmbedding('Preflight check');
+  if (!embedding) {
+    fail('Gemini did not return an embedding - check GEMINI_API_KEY (details above)');
+  } else {
+    console.log(`✅ Gemini key accepted (embedding dimension ${embedding.length})`);
+    if (dimension && embedding.length !== dimension) {
+      fail(`Gemini embeddings have ${embedding.length} dimensions but the Pinecone index expects ${dimension}`);
+    }
+  }
+  
+  console.log(passed ? '🛫 Preflight passed - ready to embed' : '🛑 Preflight failed - fix the problems above');
+  return passed;
+}
+
 /**
  * STEP 1: Test Pinecone connection
- * Run this first to verify everything works
+ * Run this after preflightCheck() to see the index stats
  */
 function testPineconeConnection() {
   try {
@@ -118,9 +265,6 @@ function embedDocuments(documents = null, options = {}) {
       totalErrors += results.errors;
       
       console.log(`✅ ${docName.toUpperCase()}: ${results.success} chunks embedded`);
-      
-      // Rate limiting between documents
-      Utilities.sleep(3000);
     }
     
     console.log('\n🎉 EMBEDDING COMPLETE!');
@@ -244,6 +388,8 @@ function splitLargeSection(text, maxSize) {
 
 /**
  * Store chunks in Pinecone
+ * Embeds the chunks in Gemini batches and upserts each batch as soon as it is embedded,
+ * so a run stopped by the execution limit keeps what it stored
  */
 function storeChunksInPinecone(chunks, namespace) {
   console.log(`Storing ${chunks.length} chunks in namespace: ${namespace}`);
@@ -251,60 +397,147 @@ function storeChunksInPinecone(chunks, namespace) {
   let successCount = 0;
   let errorCount = 0;
   
-  for (let i = 0; i < chunks.length; i++) {
-    const chunk = chunks[i];
+  const embedBatches = splitIntoBatches(chunks, BATCH_CONFIG.EMBED_BATCH_SIZE, BATCH_CONFIG.EMBED_MAX_BYTES,
+    chunk => Utilities.newBlob(chunk.text).getBytes().length);
+  
+  embedBatches.forEach((batch, index) => {
+    console.log(`Embedding batch ${index + 1}/${embedBatches.length} (${batch.length} chunks)`);
+    const embeddings = getEmbeddings(batch.map(chunk => chunk.text));
     
-    try {
-      console.log(`Processing chunk ${i + 1}/${chunks.length}: ${chunk.id}`);
-      
-      // Get embedding from Gemini
-      const embedding = getEmbedding(chunk.text);
-      
-      if (!embedding) {
-        console.error(`Failed to get embedding for chunk ${chunk.id}`);
-        errorCount++;
-        continue;
-      }
-      
-      // Store in Pinecone
-      const stored = storeToPinecone(chunk.id, embedding, chunk.metadata, namespace);
-      
-      if (stored) {
-        successCount++;
-        console.log(`✅ Stored: ${chunk.id}`);
+    if (!embeddings) {
+      console.error(`Failed to get embeddings for ${batch[0].id} - ${batch[batch.length - 1].id}`);
+      errorCount += batch.length;
+      return;
+    }
+    
+    const vectors = batch.map((chunk, i) => ({ id: chunk.id, values: embeddings[i], metadata: chunk.metadata }));
+    const upsertBatches = splitIntoBatches(vectors, BATCH_CONFIG.UPSERT_BATCH_SIZE, BATCH_CONFIG.UPSERT_MAX_BYTES,
+      vector => Utilities.newBlob(JSON.stringify(vector)).getBytes().length);
+    
+    upsertBatches.forEach(upsertBatch => {
+      const range = `${upsertBatch[0].id} - ${upsertBatch[upsertBatch.length - 1].id}`;
+      if (upsertToPinecone(upsertBatch, namespace)) {
+        successCount += upsertBatch.length;
+        console.log(`✅ Upserted ${upsertBatch.length} vectors (${range})`);
       } else {
-        errorCount++;
-        console.log(`❌ Failed: ${chunk.id}`);
+        errorCount += upsertBatch.length;
+        console.log(`❌ Failed to upsert ${range}`);
       }
-      
-      // Rate limiting
-      Utilities.sleep(2000);
-      
-    } catch (error) {
-      console.error(`Error processing chunk ${chunk.id}:`, error.toString());
-      errorCount++;
+    });
+  });
+  
+  return { success: successCount, errors: errorCount };
+}
+
+/**
+ * Split items into batches of at most maxCount items and roughly maxBytes of payload
+ * An item larger than maxBytes goes in a batch on its own
+ */
+function splitIntoBatches(items, maxCount, maxBytes, sizeOf) {
+  const batches = [];
+  let batch = [];
+  let batchBytes = 0;
+  
+  for (const item of items) {
+    const bytes = sizeOf(item);
+    if (batch.length > 0 && (batch.length >= maxCount || batchBytes + bytes > maxBytes)) {
+      batches.push(batch);
+      batch = [];
+      batchBytes = 0;
     }
+    batch.push(item);
+    batchBytes += bytes;
   }
   
-  return { success: successCount, errors: errorCount };
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+/**
+ * Fetch with adaptive rate limiting
+ * 429 and 5xx responses are retried after Retry-After (or an exponential backoff), and the
+ * service is then paced with a delay before each request that halves again as requests succeed
+ */
+function fetchWithBackoff(service, url, options) {
+  let backoff = BATCH_CONFIG.INITIAL_BACKOFF_MS;
+  
+  for (let attempt = 1; ; attempt++) {
+    if (rateLimitDelays[service]) {
+      Utilities.sleep(rateLimitDelays[service]);
+    }
+    
+    const response = UrlFetchApp.fetch(url, { ...options, muteHttpExceptions: true });
+    const code = response.getResponseCode();
+    
+    if (code !== 429 && code < 500) {
+      rateLimitDelays[service] = rateLimitDelays[service] > 100 ? Math.floor(rateLimitDelays[service] / 2) : 0;
+      return response;
+    }
+    
+    if (attempt > BATCH_CONFIG.MAX_RETRIES) {
+      console.error(`${service} still returning ${code} after ${BATCH_CONFIG.MAX_RETRIES} retries`);
+      return response;
+    }
+    
+    // Retry-After is honoured as given; give up if it runs past the execution limit
+    const retryAfter = getRetryAfterMs(response);
+    const wait = retryAfter !== null ? retryAfter : backoff;
+    const timeLeft = Math.min(BATCH_CONFIG.MAX_RUNTIME_MS - (Date.now() - executionStartedAt), 300000);   // Utilities.sleep allows 5 minutes at most
+    if (wait > timeLeft) {
+      console.error(`${service} asked to wait ${Math.round(wait / 1000)}s but only ${Math.max(Math.round(timeLeft / 1000), 0)}s of run time are left - giving up`);
+      return response;
+    }
+    if (code === 429) {
+      rateLimitDelays[service] = Math.min(Math.max((rateLimitDelays[service] || 0) * 2, BATCH_CONFIG.INITIAL_BACKOFF_MS), BATCH_CONFIG.MAX_BACKOFF_MS);
+    }
+    
+    console.log(`⏳ ${service} returned ${code} - retrying in ${Math.round(wait / 1000)}s (attempt ${attempt}/${BATCH_CONFIG.MAX_RETRIES})`);
+    Utilities.sleep(wait);
+    backoff = Math.min(backoff * 2, BATCH_CONFIG.MAX_BACKOFF_MS);
+  }
+}
+
+/**
+ * Read the Retry-After header (seconds or an HTTP date) in milliseconds
+ */
+function getRetryAfterMs(response) {
+  const headers = response.getHeaders ? response.getHeaders() : {};
+  const name = Object.keys(headers).find(header => header.toLowerCase() === 'retry-after');
+  if (!name) return null;
+  
+  const value = String(headers[name]).trim();
+  const ms = /^\d+$/.test(value) ? Number(value) * 1000 : new Date(value).getTime() - Date.now();
+  return isNaN(ms) ? null : Math.max(ms, 0);
 }
 
 /**
  * Get embedding from Gemini API
  */
 function getEmbedding(text) {
+  const embeddings = getEmbeddings([text]);
+  return embeddings ? embeddings[0] : null;
+}
+
+/**
+ * Get embeddings for several texts with one Gemini batchEmbedContents call
+ * Returns the vectors in the same order as the texts, or null on failure
+ */
+function getEmbeddings(texts) {
   try {
-    const response = UrlFetchApp.fetch(
-      `https://generativelanguage.googleapis.com/v1/models/text-embedding-004:embedContent?key=${CONFIG.GEMINI_API_KEY}`,
+    const response = fetchWithBackoff('Gemini',
+      `https://generativelanguage.googleapis.com/v1/models/${BATCH_CONFIG.EMBEDDING_MODEL}:batchEmbedContents?key=${CONFIG.GEMINI_API_KEY}`,
       {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
         },
         payload: JSON.stringify({
-          content: {
-            parts: [{ text: text }]
-          }
+          requests: texts.map(text => ({
+            model: `models/${BATCH_CONFIG.EMBEDDING_MODEL}`,
+            content: {
+              parts: [{ text: text }]
+            }
+          }))
         })
       }
     );
@@ -316,10 +549,10 @@ function getEmbedding(text) {
     }
     
     const data = JSON.parse(response.getContentText());
-    return data.embedding.values;
+    return data.embeddings.map(embedding => embedding.values);
     
   } catch (error) {
-    console.error('Error getting embedding:', error.toString());
+    console.error('Error getting embeddings:', error.toString());
     return null;
   }
 }
@@ -328,21 +561,22 @@ function getEmbedding(text) {
  * Store vector in Pinecone
  */
 function storeToPinecone(id, embedding, metadata, namespace) {
+  return upsertToPinecone([{ id: id, values: embedding, metadata: metadata }], namespace);
+}
+
+/**
+ * Upsert a batch of vectors ({ id, values, metadata }) in one Pinecone request
+ */
+function upsertToPinecone(vectors, namespace) {
   try {
-    const response = UrlFetchApp.fetch(CONFIG.PINECONE_HOST + '/vectors/upsert', {
+    const response = fetchWithBackoff('Pinecone', CONFIG.PINECONE_HOST + '/vectors/upsert', {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
         'Api-Key': CONFIG.PINECONE_API_KEY
       },
       payload: JSON.stringify({
-        vectors: [
-          {
-            id: id,
-            values: embedding,
-            metadata: metadata
-          }
-        ],
+        vectors: vectors,
         namespace: namespace
       })
     });
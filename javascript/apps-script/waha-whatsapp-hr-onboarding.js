@@ -2,23 +2,48 @@
  * WHATSAPP HR ONBOARDING AUTOMATION BOT
  * 
  * An intelligent Google Apps Script system that automates employee onboarding 
- * through WhatsApp messaging at scheduled intervals (Day 0, 30, 60, 90).
+ * through WhatsApp messaging at scheduled intervals defined in a "Sequences" sheet
+ * (by default Day 0, 30, 60, 90, plus Day 7 and 14 training nudges for Salon staff).
  * 
  * FEATURES:
  * ✅ Automated onboarding message scheduling
  * ✅ WhatsApp integration via WAHA API
+ * ✅ Multiple WAHA sessions with failover, health alerts and session restart
+ * ✅ Email and SMS fallback when WhatsApp delivery is impossible
+ * ✅ International phone normalization & WhatsApp number checks
+ * ✅ Media attachments (Drive files, URLs, images, location pins) with captions
+ * ✅ Poll-based pulse surveys with scores per milestone and a Pulse Summary sheet
  * ✅ Employee type-specific messaging (Salon/BackOffice)
+ * ✅ Sheet-driven message sequences (any number of steps per type/department)
  * ✅ Progress tracking in Google Sheets
- * ✅ Message personalization with employee names
- * ✅ Smart duplicate prevention
+ * ✅ Header-based column mapping with schema validation
+ * ✅ Delivery & read receipt tracking with undelivered follow-up flags
+ * ✅ Message personalization with any sheet column, conditionals and defaults
+ * ✅ Per-employee language with template translations and fallbacks
+ * ✅ Cached templates with Docs formatting (bold, italic, strikethrough, lists) as WhatsApp markup
+ * ✅ Template revision recorded for every message sent
+ * ✅ Append-only Audit sheet of every send attempt, archived to a separate spreadsheet
+ * ✅ Template validation against sheet headers before each run
+ * ✅ Send window, weekend and holiday rules in the company timezone
+ * ✅ Employee lifecycle: Inactive/Paused statuses, pause & resume, offboarding sequence
+ * ✅ Catch-up policies so late-added employees don't get a burst of stale messages
+ * ✅ Smart duplicate prevention (run lock + per-milestone idempotency ledger)
+ * ✅ Inbound reply capture with STOP/HELP keywords (doPost webhook)
+ * ✅ Retries with exponential backoff and a Failed state for HR review
  * ✅ Comprehensive error handling & logging
+ * ✅ Keys kept in Script Properties with a setup dialog and preflight checks
  * ✅ Manual testing capabilities
+ * ✅ Dry-run preview of exactly what would be sent
+ * ✅ "HR Onboarding" menu and sidebar dashboard for HR operators
+ * ✅ HR digest after each run (email / WhatsApp group) and manager & buddy milestone nudges
+ * ✅ Yearly work anniversary and birthday messages with branch group announcements (opt-in)
+ * ✅ WhatsApp cohort groups per joining month and employee type, kept in sync with Status (opt-in)
  * 
  * WORKFLOW:
  * 1. HR adds new employee to Google Sheet
- * 2. System automatically calculates message schedule
+ * 2. System matches the employee to their sequence and calculates the schedule
  * 3. Sends personalized WhatsApp messages at intervals
- * 4. Updates delivery status in Google Sheet
+ * 4. Updates delivery status in Google Sheet (Sent → Delivered → Read)
  * 5. Continues monitoring for all employees
  * 
  * USE CASES:
@@ -29,52 +54,443 @@
  * • Check-in and feedback requests
  * 
  * MAIN FUNCTION: checkAndSendMessages() - Handles complete automation
+ * PREVIEW: previewMessages() - Same run as a dry run, written to the Preview sheet
+ * DASHBOARD: HR Onboarding menu → Open dashboard (added by onOpen)
+ * SETUP: HR Onboarding menu → Setup stores the WAHA details in Script Properties,
+ *        then Preflight checks (runPreflightChecks) confirms everything before going live
  * 
  */
 
 // ========================================
 // CONFIGURATION - UPDATE THESE VALUES
 // ========================================
+
+// Settings kept in Script Properties - use HR Onboarding → Setup (showSetupDialog)
+const SCRIPT_SETTINGS = {
+  WAHA_BASE_URL: { label: 'WAHA server URL', example: 'https://waha.yourserver.com', required: true },
+  WAHA_API_KEY: { label: 'WAHA API key', secret: true, required: true },
+  WAHA_SESSIONS: { label: 'WAHA sessions, in priority order', example: 'default, backup', required: true },
+  WEBHOOK_SECRET: { label: 'Webhook secret (?token= in the webhook URL)', secret: true },
+  SMS_AUTHORIZATION: { label: 'SMS gateway Authorization header', example: 'Bearer ...', secret: true }
+};
+
+// Script Properties read in this execution (see getScriptSetting)
+let scriptSettings = null;
+
 const WAHA_CONFIG = {
-  BASE_URL: 'YOUR_WAHA_SERVER_URL_HERE',     // e.g., 'https://waha.yourserver.com'
-  API_KEY: 'YOUR_WAHA_API_KEY_HERE',         // Your WAHA API authentication key
-  SESSION_NAME: 'YOUR_SESSION_NAME_HERE'     // Your WhatsApp session identifier
+  get BASE_URL() { return getScriptSetting('WAHA_BASE_URL').replace(/\/+$/, ''); },
+  get API_KEY() { return getScriptSetting('WAHA_API_KEY'); },
+  // WhatsApp sessions in priority order - the first WORKING one sends
+  get SESSIONS() { return getScriptSetting('WAHA_SESSIONS').split(',').map(name => name.trim()).filter(name => name); }
+};
+
+// WAHA session health (see getSessionHealth)
+const SESSION_HEALTH_CONFIG = {
+  ALERT_EMAIL: '',                              // HR address emailed when a session stops WORKING - blank to only log
+  STATUS_PROPERTY: 'WAHA_SESSION_STATUSES',     // Last status seen per session, so each drop alerts once
+  RECOVERY_WAIT_SECONDS: 15                     // Wait after a restart before checking the session again
+};
+
+// Session statuses from /api/sessions, fetched once per execution (like loadedTemplates)
+let wahaSessionHealth = null;
+
+// Channels tried in order for each milestone (see sendThroughTransports)
+// WhatsApp falls through to the next channel when the number is invalid or not on
+// WhatsApp, the session is down, WAHA rejects the message outright, or the last retry fails
+const TRANSPORT_CONFIG = {
+  CHAIN: ['whatsapp', 'email', 'sms'],
+  EMAIL_SUBJECT: 'A message from the HR team, {name}',   // Template, like the message docs
+  EMAIL_SENDER_NAME: 'HR Team',
+  EMAIL_MAX_ATTACHMENTS_MB: 25,   // MailApp limit per email - larger files are sent as links
+  SMS: {
+    URL: '',                    // Your SMS gateway endpoint - leave blank to disable SMS
+    METHOD: 'post',
+    get HEADERS() {             // Authorization comes from the SMS_AUTHORIZATION setting
+      const authorization = getScriptSetting('SMS_AUTHORIZATION');
+      return authorization ? { Authorization: authorization } : {};
+    },
+    PAYLOAD: { to: '+{phone}', message: '{text}' },   // {phone} and {text} are filled in
+    MAX_LENGTH: 1000            // Longer messages are cut off
+  }
 };
 
 const GOOGLE_SHEET_CONFIG = {
   SHEET_NAME: 'Sheet1'  // Name of the Google Sheet containing employee data
 };
 
+// When messages may go out - runs outside these rules send nothing and the
+// due messages go out on the first run in the next allowed slot
+const SCHEDULE_CONFIG = {
+  TIMEZONE: 'Asia/Kolkata',           // Company timezone for the send window and day counting
+  SEND_WINDOW_START: '10:00',         // Earliest send time (HH:mm, company timezone)
+  SEND_WINDOW_END: '19:00',           // No sends from this time onwards
+  SKIP_DAYS: ['Sat', 'Sun'],          // Weekdays with no sends - [] to send every day
+  HOLIDAYS_SHEET_NAME: 'Holidays',    // Optional sheet: Date | Holiday
+  HOLIDAY_CALENDAR_ID: ''             // Optional Google Calendar, e.g. 'en.indian#holiday@group.v.calendar.google.com'
+};
+
 // Google Docs containing message templates - UPDATE THESE DOC IDs
+// Steps in the Sequences sheet can reference these keys or use a raw doc ID
+// A key can map to one doc, or to one doc per language code (see LANGUAGE_CONFIG)
 const MESSAGE_TEMPLATES = {
-  salon_day0: 'YOUR_SALON_WELCOME_DOC_ID_HERE',
+  salon_day0: {
+    en: 'YOUR_SALON_WELCOME_DOC_ID_HERE',
+    hi: 'YOUR_SALON_WELCOME_HINDI_DOC_ID_HERE',
+    mr: 'YOUR_SALON_WELCOME_MARATHI_DOC_ID_HERE'
+  },
+  salon_day7: 'YOUR_SALON_DAY7_TRAINING_DOC_ID_HERE',
+  salon_day14: 'YOUR_SALON_DAY14_TRAINING_DOC_ID_HERE',
   backoffice_day0: 'YOUR_BACKOFFICE_WELCOME_DOC_ID_HERE',
   day30: 'YOUR_30DAY_MESSAGE_DOC_ID_HERE',
   day60: 'YOUR_60DAY_MESSAGE_DOC_ID_HERE',
-  day90: 'YOUR_90DAY_MESSAGE_DOC_ID_HERE'
+  day90: 'YOUR_90DAY_MESSAGE_DOC_ID_HERE',
+  exit_survey: 'YOUR_EXIT_SURVEY_DOC_ID_HERE',
+  final_settlement: 'YOUR_FINAL_SETTLEMENT_DOC_ID_HERE',
+  work_anniversary: 'YOUR_WORK_ANNIVERSARY_DOC_ID_HERE',
+  birthday: 'YOUR_BIRTHDAY_DOC_ID_HERE'
+};
+
+// Template loading (see loadMessageTemplate)
+const TEMPLATE_CONFIG = {
+  CACHE_SECONDS: 6 * 60 * 60,    // CacheService lifetime; a doc edit changes the cache key anyway
+  CONVERT_FORMATTING: true       // Docs bold/italic/strikethrough/lists -> WhatsApp *bold* _italic_ ~strike~ • lists
+};
+
+// Templates already loaded in this execution, keyed by doc ID
+// Apps Script starts every trigger run with fresh globals, so this lasts for one run
+const loadedTemplates = {};
+
+// Template languages - the employee's Language column, then their branch default, then DEFAULT_LANGUAGE
+const LANGUAGE_CONFIG = {
+  DEFAULT_LANGUAGE: 'en',
+  LANGUAGES: {                         // Code -> names accepted in the Language column
+    en: ['English'],
+    hi: ['Hindi', 'हिंदी'],
+    mr: ['Marathi', 'मराठी']
+  },
+  BRANCH_DEFAULTS: {                   // Branch column value -> language code
+    // 'Pune': 'mr',
+    // 'Delhi': 'hi'
+  }
 };
 
-// Google Sheet column mapping (0-based indexing)
+// Google Sheet column mapping by header name - columns can be in any order
+// Matching ignores case and spacing; step status columns come from the Sequences sheet
 const SHEET_COLUMNS = {
-  NAME: 0,           // Employee full name
-  PHONE: 1,          // Phone number for WhatsApp
-  JOIN_DATE: 2,      // Date employee joined
-  LAST_SENT: 3,      // Timestamp of last message sent
-  SENT_MESSAGE: 4,   // Tracking string of sent messages
-  MESSAGE0: 5,       // Day 0 message status
-  MESSAGE1: 6,       // Day 30 message status  
-  MESSAGE2: 7,       // Day 60 message status
-  MESSAGE3: 8,       // Day 90 message status
-  STATUS: 9,         // Employee status (Active/Inactive)
-  TYPE: 10          // Employee type (Salon/BackOffice)
-};
-
-// Message schedule configuration
-const MESSAGE_SCHEDULE = [
-  { day: 0, key: 'day0', column: 'MESSAGE0' },
-  { day: 30, key: 'day30', column: 'MESSAGE1' },
-  { day: 60, key: 'day60', column: 'MESSAGE2' },
-  { day: 90, key: 'day90', column: 'MESSAGE3' }
+  NAME: 'Name',                      // Employee full name
+  PHONE: 'Phone',                    // Phone number for WhatsApp
+  JOIN_DATE: 'Join Date',            // Date employee joined
+  LAST_SENT: 'Last Sent',            // Timestamp of last message sent
+  SENT_MESSAGE: 'Sent Messages',     // Tracking string of sent messages
+  STATUS: 'Status',                  // Employee status (Active/Inactive)
+  TYPE: 'Type',                      // Employee type (Salon/BackOffice)
+  DEPARTMENT: 'Department',          // Optional department, used by Sequences filters
+  COUNTRY_CODE: 'Country Code',      // Per-employee dialling code, e.g. 971 (defaults below)
+  WHATSAPP_CHECK: 'WhatsApp Check',  // Written by the bot: number validation / WhatsApp lookup
+  PAUSED_ON: 'Paused On',            // Written by the bot when Status becomes Paused
+  PAUSED_DAYS: 'Paused Days',        // Total days paused - the onboarding schedule shifts by this much
+  EXIT_DATE: 'Exit Date',            // Offboarding steps count from this date (today if left blank)
+  LANGUAGE: 'Language',              // Optional template language, e.g. Hindi or hi
+  BRANCH: 'Branch',                  // Optional branch, for LANGUAGE_CONFIG.BRANCH_DEFAULTS
+  EMAIL: 'Email',                    // Optional, for the email fallback channel
+  MANAGER_PHONE: 'Manager Phone',    // Optional, receives the steps' Nudge messages
+  BUDDY_PHONE: 'Buddy Phone',        // Optional, receives the steps' Nudge messages
+  NUDGES_SENT: 'Nudges Sent',        // Written by the bot: manager/buddy nudges already sent
+  DATE_OF_BIRTH: 'Date of Birth',    // Optional, for birthday messages
+  ANNIVERSARY_SENT_YEAR: 'Anniversary Sent Year',   // Written by the bot: last work anniversary year sent
+  BIRTHDAY_SENT_YEAR: 'Birthday Sent Year',         // Written by the bot: last birthday year sent
+  COHORT_GROUP: 'Cohort Group'       // Written by the bot: cohort WhatsApp group the employee was added to
+};
+
+// Other header names accepted for a column
+const COLUMN_ALIASES = {
+  'Name': ['Employee Name', 'Full Name'],
+  'Phone': ['Phone Number', 'Mobile', 'Mobile Number', 'WhatsApp Number'],
+  'Join Date': ['Joining Date', 'Date of Joining', 'DOJ'],
+  'Sent Messages': ['Sent Message', 'Messages Sent'],
+  'Type': ['Employee Type'],
+  'Manager Phone': ['Manager Mobile', 'Manager WhatsApp'],
+  'Buddy Phone': ['Buddy Mobile', 'Buddy WhatsApp'],
+  'Date of Birth': ['DOB', 'Birth Date', 'Birthday']
+};
+
+// The bot refuses to run without these columns
+const REQUIRED_COLUMNS = ['NAME', 'PHONE', 'JOIN_DATE'];
+
+// Status columns the bot writes to - added to the sheet when missing
+const AUTO_CREATED_COLUMNS = ['LAST_SENT', 'SENT_MESSAGE', 'STATUS'];
+
+// Phone number normalization
+const PHONE_CONFIG = {
+  DEFAULT_COUNTRY_CODE: '91',           // Used when a number has no country code
+  CHECK_WHATSAPP_NUMBERS: true,         // Ask WAHA whether the number is on WhatsApp before the first send
+  VALID_LABEL: 'Valid',
+  INVALID_LABEL: 'Invalid Number',
+  NOT_ON_WHATSAPP_LABEL: 'Not on WhatsApp'
+};
+
+// Digits expected after the country code (unlisted codes get the generic E.164 check)
+const COUNTRY_PHONE_RULES = {
+  '1': { name: 'US/Canada', lengths: [10] },
+  '44': { name: 'United Kingdom', lengths: [10] },
+  '60': { name: 'Malaysia', lengths: [9, 10] },
+  '61': { name: 'Australia', lengths: [9] },
+  '65': { name: 'Singapore', lengths: [8] },
+  '91': { name: 'India', lengths: [10] },
+  '94': { name: 'Sri Lanka', lengths: [9] },
+  '880': { name: 'Bangladesh', lengths: [10] },
+  '965': { name: 'Kuwait', lengths: [8] },
+  '966': { name: 'Saudi Arabia', lengths: [9] },
+  '968': { name: 'Oman', lengths: [8] },
+  '971': { name: 'United Arab Emirates', lengths: [9] },
+  '973': { name: 'Bahrain', lengths: [8] },
+  '974': { name: 'Qatar', lengths: [8] },
+  '977': { name: 'Nepal', lengths: [10] }
+};
+
+// Employees with these statuses receive no scheduled messages (matched ignoring case)
+const NO_MESSAGE_STATUSES = ['Opted Out', 'Inactive', 'Left'];
+
+// Status values that change the employee's schedule (see resolveEmployeeSchedule)
+const LIFECYCLE_CONFIG = {
+  PAUSED_STATUS: 'Paused',     // Nothing sent while paused; the schedule shifts by the days paused
+  EXITING_STATUS: 'Exiting'    // Onboarding stops and the offboarding track starts
+};
+
+// Inbound replies via WAHA webhook - see doPost()
+const WEBHOOK_CONFIG = {
+  get SECRET() { return getScriptSetting('WEBHOOK_SECRET'); },   // WEBHOOK_SECRET setting, passed as ?token= in the webhook URL
+  REPLIES_SHEET_NAME: 'Replies',        // Sheet where employee replies are logged
+  LOCK_WAIT_SECONDS: 20,                // Wait for a sending run before queueing the event
+  QUEUE_PROPERTY_PREFIX: 'WEBHOOK_QUEUE_'   // Script Properties holding events queued behind a run
+};
+
+const REPLIES_HEADERS = ['Timestamp', 'Name', 'Phone', 'Milestone', 'Message', 'Keyword', 'Message ID'];
+
+// Keywords an employee can reply with (first word, case-insensitive)
+const REPLY_KEYWORDS = {
+  STOP: {
+    status: 'Opted Out',
+    reply: 'You will no longer receive onboarding messages, {name}. Reply HELP if you need anything from HR.'
+  },
+  HELP: {
+    status: 'Needs Help',
+    reply: 'Thanks {name}, we have let the HR team know. Someone will contact you shortly.'
+  }
+};
+
+// Delivery tracking - WAHA message IDs and acks per milestone
+const DELIVERY_CONFIG = {
+  SHEET_NAME: 'Deliveries',            // Sheet holding one row per employee milestone
+  UNDELIVERED_HOURS: 24,               // Flag milestones not delivered to the phone after this long
+  UNDELIVERED_LABEL: 'Not Delivered',  // Status cell text for flagged milestones
+  SENT_LABEL: 'Sent',                  // Delivery state once WAHA (or a fallback channel) accepted the message
+  FLAG_COLOR: '#f4cccc'                // Status cell background for flagged milestones
+};
+
+// Deliveries sheet columns (record field -> header)
+const DELIVERY_FIELDS = {
+  key: 'Key',
+  name: 'Name',
+  phone: 'Phone',
+  milestone: 'Milestone',
+  statusColumn: 'Status Column',
+  messageId: 'Message ID',
+  sentAt: 'Sent At',
+  ack: 'Ack',
+  ackAt: 'Ack At',
+  flagged: 'Flagged',
+  state: 'State',
+  attempts: 'Attempts',
+  lastError: 'Last Error',
+  lastAttemptAt: 'Last Attempt At',
+  nextAttemptAt: 'Next Attempt At',
+  sendingAt: 'Sending At',
+  pollMessageId: 'Poll Message ID',
+  pollVote: 'Poll Vote',
+  pollVotedAt: 'Poll Voted At',
+  templateDocId: 'Template Doc ID',
+  templateRevision: 'Template Revision',
+  channel: 'Channel'
+};
+
+// Retry policy for failed sends (see checkRetryState)
+const RETRY_CONFIG = {
+  MAX_ATTEMPTS: 5,               // Attempts before a milestone is marked Failed
+  BASE_DELAY_MINUTES: 15,        // Delay after the first failure, doubled each attempt
+  MAX_DELAY_MINUTES: 24 * 60,    // Upper bound for the backoff delay
+  RETRYING_LABEL: 'Retrying',    // Delivery state / status cell prefix while retrying
+  FAILED_LABEL: 'Failed'         // Delivery state / status cell text - HR clears it to retry
+};
+
+// Run locking and idempotency (see acquireRunLock and beginMilestoneSend)
+const LOCK_CONFIG = {
+  WAIT_SECONDS: 30,                     // How long a run waits for another run to finish
+  DEBOUNCE_SECONDS: 60,                 // Sheet edits within this window trigger a single run
+  LAST_EDIT_PROPERTY: 'LAST_SHEET_EDIT_AT',
+  SENDING_LABEL: 'Sending',             // Delivery state written before a send, replaced once it is confirmed
+  NEEDS_REVIEW_LABEL: 'Needs Review'    // Delivery state / status cell text for interrupted sends
+};
+
+// WAHA ack levels and the milestone status shown for each
+const ACK_LEVELS = { ERROR: -1, PENDING: 0, SERVER: 1, DEVICE: 2, READ: 3, PLAYED: 4 };
+const ACK_STATUS_LABELS = { '-1': 'Delivery Error', 1: 'Sent', 2: 'Delivered', 3: 'Read', 4: 'Read' };
+
+// Append-only log of every send attempt - see recordAuditEntry() and lookupMessageHistory()
+const AUDIT_CONFIG = {
+  SHEET_NAME: 'Audit',
+  MAX_ROWS: 20000,                 // Archive once the Audit sheet holds more rows than this...
+  KEEP_ROWS: 5000,                 // ...keeping this many of the newest rows
+  ARCHIVE_SPREADSHEET_ID: '',      // Archive spreadsheet - leave blank to create one on first archive
+  ARCHIVE_ID_PROPERTY: 'AUDIT_ARCHIVE_SPREADSHEET_ID'
+};
+
+const AUDIT_HEADERS = ['Timestamp', 'Employee', 'Phone', 'Milestone', 'Template Doc ID', 'Template Revision', 'Text SHA-256', 'HTTP Status', 'Message ID', 'Result', 'Error', 'Attempt', 'Channel'];
+
+// Dry run output - see previewMessages() and previewNewHiresToday()
+const PREVIEW_CONFIG = {
+  SHEET_NAME: 'Preview'
+};
+
+const PREVIEW_HEADERS = ['Generated At', 'Employee', 'Phone', 'Row', 'Milestone', 'Template', 'Template Doc ID', 'Rendered Message', 'Attachments', 'Note'];
+
+// HR Onboarding menu and sidebar (see onOpen)
+const SIDEBAR_CONFIG = {
+  MENU_NAME: 'HR Onboarding',
+  TITLE: 'HR Onboarding Dashboard',
+  SKIPPED_LABEL: 'Skipped (HR)',          // Status cell for milestones HR marks skipped
+  TEST_PHONE_PROPERTY: 'HR_TEST_PHONE',   // User property remembering each operator's test number
+  MAX_LOG_LINES: 200,
+  MAX_PREVIEW_ROWS: 50
+};
+
+// Message sequence configuration - one row per step in the "Sequences" sheet
+const SEQUENCE_CONFIG = {
+  SHEET_NAME: 'Sequences',
+  HEADERS: ['Sequence', 'Step Key', 'Offset Days', 'Employee Type', 'Department', 'Template', 'Status Column', 'Enabled', 'Attachments', 'Send Text', 'Catch Up', 'Track', 'Poll', 'Nudge'],
+  TRACKS: ['Onboarding', 'Offboarding']  // Offboarding steps count Offset Days from the Exit Date
+};
+
+// Pulse surveys - a step's "Poll" cell is "Question | option, option, ..."
+// Votes are scored by the option's leading number ("5 - Great" scores 5), or its position
+const POLL_CONFIG = {
+  MAX_OPTIONS: 12,                     // WhatsApp limit
+  SCORE_HEADER_SUFFIX: 'Score',        // "Day 30 Status" -> "Day 30 Score" column in the employee sheet
+  SUMMARY_SHEET_NAME: 'Pulse Summary'  // Rebuilt by updatePulseSummary()
+};
+
+// Manager / buddy nudges - a step's "Nudge" cell is a message template sent to the
+// employee's Manager Phone and Buddy Phone LEAD_DAYS before the milestone, e.g.
+// "{name} hits 30 days {when} - please schedule a check-in"
+const NUDGE_CONFIG = {
+  LEAD_DAYS: 1,
+  RECIPIENTS: { manager: 'MANAGER_PHONE', buddy: 'BUDDY_PHONE' },   // Role -> SHEET_COLUMNS key
+  VARIABLES: ['milestone', 'day', 'when', 'role']                   // Available in Nudge templates besides the sheet columns
+};
+
+// Yearly events, sent on the day within the send window (see processAnnualEvents)
+// Opt-in: set enabled to true once the event's template doc ID is in MESSAGE_TEMPLATES
+// Templates get {event}, {years} (years since the date), {days_late} and {belated} ("yes" when
+// sent after the day, for {#if belated}) besides the sheet columns
+const ANNUAL_EVENTS_CONFIG = {
+  EVENTS: {
+    anniversary: {
+      enabled: false,
+      label: 'Work Anniversary',
+      dateColumn: 'JOIN_DATE',
+      sentYearColumn: 'ANNIVERSARY_SENT_YEAR',
+      template: 'work_anniversary',
+      minYears: 1,
+      announce: true,
+      announcement: '🎉 Please join us in congratulating {name} on {years} {#if years == 1}year{else}years{/if} with the team!'
+    },
+    birthday: {
+      enabled: false,
+      label: 'Birthday',
+      dateColumn: 'DATE_OF_BIRTH',
+      sentYearColumn: 'BIRTHDAY_SENT_YEAR',
+      template: 'birthday',
+      minYears: 0,
+      announce: true,
+      announcement: '🎂 It\'s {name}\'s birthday today - wish them a great one!'
+    }
+  },
+  VARIABLES: ['event', 'years', 'days_late', 'belated'],
+  MAX_LATE_DAYS: 3,                 // Events on weekends/holidays go out on the next sending day, at most this late
+  FEB_29_IN_COMMON_YEARS: '02-28',  // '02-28' or '03-01'
+  BRANCH_GROUPS: {                  // Branch column value -> celebration WhatsApp group ID ('*' for all other branches)
+    // 'Pune': '120363012345678901@g.us',
+    // '*': '120363098765432109@g.us'
+  }
+};
+
+// Cohort WhatsApp groups - one per join month and employee type (see syncCohortMembership)
+const COHORT_CONFIG = {
+  ENABLED: false,                      // Opt-in: creates WhatsApp groups and adds employees to them
+  AFTER_STEP: 'day0',                  // Added once this step was delivered by WhatsApp
+  JOIN_WITHIN_DAYS: 30,                // Only people who joined this recently are added
+  GROUP_NAME: '{type} Joiners - {month}',   // {month} is e.g. "October 2026"; any sheet column works too
+  WELCOME_MESSAGE: '👋 Everyone, please welcome {name} to {group}!',
+  HR_MEMBERS: [],                      // Numbers added to every new group, e.g. ['+91 98765 43210']
+  REMOVE_STATUSES: ['Inactive', 'Left'],
+  REMOVED_PREFIX: 'Removed from',      // Cohort Group cell after removal
+  ADD_FAILED_PREFIX: 'Not added to',   // Cohort Group cell when WAHA refused the add - HR clears it to retry
+  SHEET_NAME: 'Cohort Groups'
+};
+
+const COHORT_GROUP_HEADERS = ['Cohort', 'Group Name', 'Group ID', 'Created At'];
+
+// HR digest sent after each live run (see sendHRDigest)
+const DIGEST_CONFIG = {
+  HR_EMAIL: '',              // Comma-separated recipients - blank for no email digest
+  WHATSAPP_GROUP_ID: '',     // e.g. '120363012345678901@g.us' - blank for no WhatsApp digest
+  UPCOMING_DAYS: 7,          // Milestones due within this many days are listed
+  LAST_SENT_PROPERTY: 'HR_DIGEST_LAST_SENT_ON'   // Runs that send nothing report at most once a day
+};
+
+const PULSE_SUMMARY_HEADERS = ['Milestone', 'Score Column', 'Group By', 'Group', 'Responses', 'Average', 'Min', 'Max', 'Updated At'];
+
+// What to do with a step that is already overdue when first considered ("Catch Up" column)
+//   always  - send it however late it is
+//   grace:N - send it if at most N days late, otherwise skip it
+//   latest  - send it only if no later step of the employee is due too, otherwise skip it
+// Skipped steps show CATCH_UP_CONFIG.SKIPPED_LABEL and are never sent
+const CATCH_UP_CONFIG = {
+  DEFAULT_POLICY: 'latest',            // Used when the Catch Up cell is blank
+  SKIPPED_LABEL: 'Skipped (stale)',
+  SKIPPED_COLOR: '#efefef'
+};
+
+// Attachment limits (see the Attachments column of the Sequences sheet)
+const MEDIA_CONFIG = {
+  MAX_IMAGE_MB: 5,     // WhatsApp image limit
+  MAX_FILE_MB: 30,     // Kept well under the 50 MB Apps Script request limit (base64 adds ~33%)
+  IMAGE_MIME_TYPES: ['image/jpeg', 'image/png'],
+  ALLOWED_MIME_TYPES: [
+    'image/jpeg',
+    'image/png',
+    'image/webp',
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'text/plain'
+  ]
+};
+
+// Built-in steps, used to seed the Sequences sheet and as a fallback when it is missing
+// Employee Type / Department: blank or "All" matches everyone, or a comma-separated list
+const DEFAULT_SEQUENCES = [
+  { sequence: 'Salon Onboarding', key: 'day0', day: 0, type: 'Salon', template: 'salon_day0', statusColumn: 'Day 0 Status' },
+  { sequence: 'Salon Onboarding', key: 'day7', day: 7, type: 'Salon', template: 'salon_day7', statusColumn: 'Day 7 Status' },
+  { sequence: 'Salon Onboarding', key: 'day14', day: 14, type: 'Salon', template: 'salon_day14', statusColumn: 'Day 14 Status' },
+  { sequence: 'BackOffice Onboarding', key: 'day0', day: 0, type: 'BackOffice', template: 'backoffice_day0', statusColumn: 'Day 0 Status' },
+  { sequence: 'All Staff Check-ins', key: 'day30', day: 30, type: 'All', template: 'day30', statusColumn: 'Day 30 Status', poll: 'How is your first month going, {name}? | 1 - Poor, 2, 3, 4, 5 - Great', nudge: '{name} hits 30 days {when} - please schedule a check-in' },
+  { sequence: 'All Staff Check-ins', key: 'day60', day: 60, type: 'All', template: 'day60', statusColumn: 'Day 60 Status', poll: 'How are you settling in after two months, {name}? | 1 - Poor, 2, 3, 4, 5 - Great', nudge: '{name} hits 60 days {when} - a good time for a quick catch-up' },
+  { sequence: 'All Staff Check-ins', key: 'day90', day: 90, type: 'All', template: 'day90', statusColumn: 'Day 90 Status', poll: 'How would you rate your first three months, {name}? | 1 - Poor, 2, 3, 4, 5 - Great', nudge: '{name} completes 90 days {when} - please schedule their probation review' },
+  { sequence: 'Offboarding', key: 'exit_survey', day: 0, type: 'All', template: 'exit_survey', statusColumn: 'Exit Survey Status', track: 'Offboarding', catchUp: 'always' },
+  { sequence: 'Offboarding', key: 'final_settlement', day: 7, type: 'All', template: 'final_settlement', statusColumn: 'Final Settlement Status', track: 'Offboarding', catchUp: 'always' }
 ];
 
 /**
@@ -90,10 +506,27 @@ const MESSAGE_SCHEDULE = [
  * • Handles errors and provides comprehensive logging
  * ========================================
  */
-function checkAndSendMessages() {
-  console.log('🤖 Starting HR Onboarding Automation...');
+function checkAndSendMessages(options) {
+  const dryRun = !!(options && options.dryRun === true);
+  console.log(dryRun ? '🔎 Starting HR Onboarding Automation (dry run - nothing will be sent)...' : '🤖 Starting HR Onboarding Automation...');
+  
+  // Only one run may send at a time - a dry run only reads, so it doesn't wait
+  const lock = dryRun ? null : acquireRunLock();
+  if (!dryRun && !lock) {
+    return { success: false, error: 'Another automation run is in progress' };
+  }
   
   try {
+    // Hold messages until the next allowed slot (send window, weekends, holidays)
+    const sendWindow = checkSendWindow(new Date());
+    if (!sendWindow.allowed) {
+      if (!dryRun) {
+        console.log(`🌙 ${sendWindow.reason} - nothing sent, next send slot ${formatScheduleDate(sendWindow.nextSendAt)}`);
+        return { success: true, dryRun: false, deferred: true, reason: sendWindow.reason, nextSendAt: sendWindow.nextSendAt, processed: 0, sent: 0, errors: 0 };
+      }
+      console.log(`🌙 ${sendWindow.reason} - a live run would send these from ${formatScheduleDate(sendWindow.nextSendAt)}`);
+    }
+    
     // Get the Google Sheet with employee data
     const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
     if (!sheet) {
@@ -101,6 +534,28 @@ function checkAndSendMessages() {
       return { success: false, error: 'Sheet not found' };
     }
     
+    // Load the configured message sequences
+    const steps = loadSequenceSteps();
+    if (steps.length === 0) {
+      console.error('❌ No sequence steps configured');
+      return { success: false, error: 'No sequence steps configured' };
+    }
+    
+    // Refuse to run against a sheet whose columns can't be matched safely
+    const schema = validateSheetSchema(sheet, steps, !dryRun);
+    if (!schema.valid) {
+      return { success: false, error: 'Sheet schema validation failed', problems: schema.problems };
+    }
+    
+    const headers = ensureStatusColumns(sheet, steps, !dryRun);
+    
+    // Refuse to run if any template references an unknown column
+    const templateCheck = validateTemplates(steps, headers);
+    if (!templateCheck.valid) {
+      return { success: false, error: 'Template validation failed', problems: templateCheck.problems };
+    }
+    
+    const context = createRunContext(sheet, headers, steps, dryRun);
     const employeeData = sheet.getDataRange().getValues();
     console.log(`📊 Processing ${employeeData.length - 1} employees...`);
     
@@ -113,47 +568,69 @@ function checkAndSendMessages() {
       const employee = employeeData[i];
       
       // Skip incomplete rows
-      if (!employee[SHEET_COLUMNS.NAME] || !employee[SHEET_COLUMNS.PHONE] || !employee[SHEET_COLUMNS.JOIN_DATE]) {
+      if (!isCompleteEmployeeRow(employee, headers)) {
         continue;
       }
       
       processedCount++;
       
       // Extract employee information
-      const employeeInfo = {
-        name: employee[SHEET_COLUMNS.NAME],
-        phone: formatPhoneForWhatsApp(employee[SHEET_COLUMNS.PHONE]),
-        joinDate: new Date(employee[SHEET_COLUMNS.JOIN_DATE]),
-        sentMessages: employee[SHEET_COLUMNS.SENT_MESSAGE] || '',
-        type: employee[SHEET_COLUMNS.TYPE] || 'Salon',
-        rowIndex: i + 1 // 1-based for Google Sheets
-      };
+      const employeeInfo = buildEmployeeInfo(employee, i + 1, headers);
+      
+      // Apply Status: skip Inactive/Paused employees, shift paused schedules, switch Exiting to offboarding
+      const schedule = resolveEmployeeSchedule(context, employeeInfo, new Date());
+      if (schedule.skip) {
+        console.log(`⏭️ Skipping ${employeeInfo.name}: ${schedule.reason}`);
+        addPreviewRow(context, employeeInfo, { reason: `Skipped: ${schedule.reason}` });
+        syncCohortMembership(employeeInfo, context);
+        continue;
+      }
       
-      // Calculate days since joining
-      const today = new Date();
-      const daysSinceJoin = Math.floor((today - employeeInfo.joinDate) / (1000 * 60 * 60 * 24));
+      // Days into the employee's track (calendar days in the company timezone)
+      const daysSinceJoin = schedule.day;
       
-      console.log(`👤 Processing ${employeeInfo.name}: ${daysSinceJoin} days since joining`);
+      console.log(`👤 Processing ${employeeInfo.name}: ${schedule.description}`);
       
       // Check which message should be sent
-      const messageResult = processEmployeeMessages(employeeInfo, daysSinceJoin, sheet);
+      const messageResult = processEmployeeMessages(employeeInfo, daysSinceJoin, context);
+      addPreviewRow(context, employeeInfo, messageResult);
       
       if (messageResult.sent) {
         sentCount++;
+        context.digest.sent.push(`${employeeInfo.name} - ${messageResult.step.key}${messageResult.channel && messageResult.channel !== 'whatsapp' ? ` (${messageResult.channel})` : ''}`);
         // Add delay between messages to avoid rate limiting
-        Utilities.sleep(2000);
+        if (!dryRun) Utilities.sleep(2000);
       } else if (messageResult.error) {
         errorCount++;
+        context.digest.errors.push(`${employeeInfo.name}${messageResult.step ? ` - ${messageResult.step.key}` : ''}: ${messageResult.error}`);
       }
+      
+      // Heads-up for the manager and buddy, anniversaries/birthdays, and what's coming up for the HR digest
+      sendMilestoneNudges(employeeInfo, daysSinceJoin, context);
+      processAnnualEvents(employeeInfo, context);
+      syncCohortMembership(employeeInfo, context);
+      collectUpcomingMilestones(employeeInfo, daysSinceJoin, context);
+      collectUpcomingAnnualEvents(employeeInfo, context);
+    }
+    
+    if (dryRun) {
+      writePreviewSheet(context);
+    } else {
+      // Flag earlier milestones that WAHA accepted but never reached the phone
+      checkUndeliveredMessages();
+      archiveAuditLog();
+      sendHRDigest(context.digest);
+      processQueuedWebhookEvents();
     }
     
     console.log('\n✅ HR Automation Complete!');
     console.log(`📊 Processed: ${processedCount} employees`);
-    console.log(`📤 Messages Sent: ${sentCount}`);
+    console.log(`📤 Messages ${dryRun ? 'Previewed' : 'Sent'}: ${sentCount}`);
     console.log(`❌ Errors: ${errorCount}`);
     
     return { 
       success: true, 
+      dryRun: dryRun,
       processed: processedCount, 
       sent: sentCount, 
       errors: errorCount 
@@ -162,55 +639,155 @@ function checkAndSendMessages() {
   } catch (error) {
     console.error('❌ Critical error in HR automation:', error.toString());
     return { success: false, error: error.toString() };
+  } finally {
+    if (lock) lock.releaseLock();
   }
 }
 
 /**
  * Process messages for a single employee
- * Determines which message to send based on days since joining
+ * Sends the first step of the employee's sequence that is due and not yet sent
+ * For Exiting employees daysSinceJoin is counted from the Exit Date instead
+ * In a dry run the rendered message is returned instead of being sent
  */
-function processEmployeeMessages(employeeInfo, daysSinceJoin, sheet) {
+function processEmployeeMessages(employeeInfo, daysSinceJoin, context) {
   try {
+    // Milestones held for HR (Failed / Needs Review) don't block the later ones
+    let heldReason = '';
+    
     // Find the appropriate message to send
-    for (const schedule of MESSAGE_SCHEDULE) {
-      if (daysSinceJoin >= schedule.day && !employeeInfo.sentMessages.includes(schedule.key)) {
+    for (const step of getStepsForEmployee(context.steps, employeeInfo)) {
+      if (daysSinceJoin >= step.day && !employeeInfo.sentMessages.includes(step.key)) {
+        const templateDocId = resolveTemplateDocId(step.template, employeeInfo.languages);
+        const result = { sent: false, step: step, templateDocId: templateDocId };
         
-        // Determine message template based on employee type and day
-        let messageTemplateKey;
-        if (schedule.key === 'day0') {
-          messageTemplateKey = employeeInfo.type.toLowerCase() === 'salon' ? 'salon_day0' : 'backoffice_day0';
-        } else {
-          messageTemplateKey = schedule.key;
+        // The ledger may already hold this milestone if a run stopped before updating the sheet
+        const delivery = findDeliveryRecord(getDeliveryKey(employeeInfo.phone, step.key), context.deliveries);
+        if (delivery && delivery.record.state === DELIVERY_CONFIG.SENT_LABEL) {
+          console.log(`♻️ ${step.key} for ${employeeInfo.name} is already in the delivery ledger, not resending`);
+          if (!context.dryRun) updateSentMessageTracking(context, employeeInfo.rowIndex, step.key);
+          continue;
+        }
+        
+        // Overdue steps seen for the first time follow the step's catch-up policy
+        const stale = delivery ? null : checkCatchUpPolicy(step, daysSinceJoin, employeeInfo, context.steps);
+        if (stale) {
+          markStepSkipped(context, employeeInfo, step, stale);
+          continue;
+        }
+        
+        // Respect backoff, the Failed state and interrupted sends from earlier attempts
+        const retryState = checkRetryState(employeeInfo, step, delivery, context);
+        if (!retryState.allowed) {
+          console.log(`⏳ ${employeeInfo.name}: ${retryState.reason}`);
+          if (retryState.held) {
+            heldReason = heldReason || retryState.reason;
+            continue;
+          }
+          return Object.assign(result, { reason: retryState.reason });
+        }
+        
+        // Invalid or non-WhatsApp numbers are marked on the sheet and use the fallback channels
+        const phoneCheck = verifyEmployeePhone(employeeInfo, context);
+        if (!phoneCheck.ok) {
+          const fallbacks = getAvailableFallbacks(employeeInfo);
+          console.warn(`📵 ${employeeInfo.name}: ${phoneCheck.reason}${fallbacks.length ? ` - using ${fallbacks.join(', ')}` : ''}`);
+          if (fallbacks.length === 0) {
+            return Object.assign(result, { reason: phoneCheck.reason });
+          }
+          result.whatsappUnavailable = phoneCheck.reason;
         }
         
         // Get message content from Google Doc
-        const messageContent = getMessageTemplate(MESSAGE_TEMPLATES[messageTemplateKey]);
-        if (!messageContent) {
-          console.error(`❌ Failed to load message template: ${messageTemplateKey}`);
-          return { sent: false, error: 'Template load failed' };
+        const template = loadMessageTemplate(templateDocId);
+        if (!template || !template.text) {
+          console.error(`❌ Failed to load message template: ${step.template}`);
+          return Object.assign(result, { error: 'Template load failed' });
+        }
+        result.templateRevision = template.revision;
+        
+        // Personalize message with the employee's sheet columns
+        try {
+          result.messageText = renderTemplate(template.text, employeeInfo.variables);
+        } catch (error) {
+          console.error(`❌ Template ${step.template} could not be rendered for ${employeeInfo.name}: ${error.message}`);
+          return Object.assign(result, { error: `Template error: ${error.message}` });
+        }
+        
+        // Load and check attachments before anything is sent
+        let attachments;
+        try {
+          attachments = prepareAttachments(step, employeeInfo.variables, result.messageText);
+          result.attachments = attachments;
+        } catch (error) {
+          console.error(`❌ Attachment problem in ${step.key} for ${employeeInfo.name}: ${error.message}`);
+          return Object.assign(result, { error: `Attachment error: ${error.message}` });
+        }
+        
+        // Dry run stops here - no WAHA call and no sheet updates
+        if (context.dryRun) {
+          const channel = result.whatsappUnavailable ? getAvailableFallbacks(employeeInfo)[0] : 'whatsapp';
+          console.log(`🔎 Would send ${step.key} to ${employeeInfo.name} by ${channel}`);
+          return Object.assign(result, { sent: true, reason: result.whatsappUnavailable ? `Would send by ${channel}: ${result.whatsappUnavailable}` : '' });
+        }
+        
+        // Record the send in the ledger first, so an interrupted run can't send it twice
+        if (!beginMilestoneSend(employeeInfo, step, context.deliveries)) {
+          return Object.assign(result, { error: 'Could not record send in the delivery ledger' });
         }
         
-        // Send WhatsApp message
-        const messageSent = sendWhatsAppMessage(
-          employeeInfo.phone, 
-          messageContent, 
-          employeeInfo.name
-        );
+        // Send by WhatsApp, or the fallback channels, and audit every channel tried
+        const sendResult = sendThroughTransports(employeeInfo, step, result.messageText, attachments, {
+          whatsappUnavailable: result.whatsappUnavailable,
+          finalAttempt: retryState.attempts + 1 >= RETRY_CONFIG.MAX_ATTEMPTS
+        });
+        sendResult.attempts.forEach(channelAttempt => recordAuditEntry({
+          employeeInfo: employeeInfo,
+          milestone: step.key,
+          templateDocId: templateDocId,
+          templateRevision: template.revision,
+          text: result.messageText,
+          sendResult: channelAttempt.result,
+          attempt: retryState.attempts + 1,
+          channel: channelAttempt.channel
+        }));
         
-        if (messageSent) {
-          // Update Google Sheet with success status
-          updateEmployeeRecord(sheet, employeeInfo.rowIndex, schedule, true);
-          console.log(`✅ ${schedule.key} message sent to ${employeeInfo.name}`);
-          return { sent: true };
+        if (sendResult.success) {
+          // Confirm the send in the ledger with the WAHA message ID, then update Google Sheet
+          recordDelivery(employeeInfo, step, retryState.attempts + 1, {
+            messageId: sendResult.messageId,
+            pollMessageId: sendResult.pollMessageId,
+            templateDocId: templateDocId,
+            templateRevision: template.revision,
+            channel: sendResult.channel
+          }, context.deliveries);
+          updateEmployeeRecord(context, employeeInfo.rowIndex, step, true);
+          SpreadsheetApp.flush();
+          
+          if (sendResult.channel !== 'whatsapp') {
+            context.sheet.getRange(employeeInfo.rowIndex, step.statusColumnIndex + 1)
+              .setValue(`Sent (${TRANSPORTS[sendResult.channel].label})`);
+          }
+          
+          if (sendResult.warnings.length > 0) {
+            console.warn(`⚠️ ${sendResult.warnings.length} attachment(s) of ${step.key} failed for ${employeeInfo.name}: ${sendResult.warnings.join('; ')}`);
+            context.sheet.getRange(employeeInfo.rowIndex, step.statusColumnIndex + 1)
+              .setValue(`Sent (${sendResult.warnings.length} attachment(s) failed)`)
+              .setBackground(DELIVERY_CONFIG.FLAG_COLOR);
+          }
+          
+          console.log(`✅ ${step.key} message sent to ${employeeInfo.name} by ${sendResult.channel}`);
+          return Object.assign(result, { sent: true, channel: sendResult.channel });
         } else {
-          console.error(`❌ Failed to send ${schedule.key} message to ${employeeInfo.name}`);
-          return { sent: false, error: 'Message send failed' };
+          console.error(`❌ Failed to send ${step.key} message to ${employeeInfo.name}`);
+          recordFailedAttempt(context.sheet, employeeInfo, step, sendResult, retryState.attempts, context.deliveries);
+          return Object.assign(result, { error: 'Message send failed' });
         }
       }
     }
     
     // No message needed for this employee
-    return { sent: false, reason: 'No message due' };
+    return { sent: false, reason: heldReason || 'No message due' };
     
   } catch (error) {
     console.error(`❌ Error processing ${employeeInfo.name}:`, error.toString());
@@ -218,6 +795,51 @@ function processEmployeeMessages(employeeInfo, daysSinceJoin, sheet) {
   }
 }
 
+/**
+ * Create the state shared by one automation run
+ */
+function createRunContext(sheet, headers, steps, dryRun) {
+  return {
+    sheet: sheet,
+    headers: headers,
+    steps: steps,
+    dryRun: dryRun,
+    previewRows: [],
+    deliveries: loadDeliveryLedger(),   // Deliveries ledger by key, read once per run
+    digest: { sent: [], errors: [], needsAction: [], nudges: [], upcoming: [] }
+  };
+}
+
+/**
+ * Build the employee info object used by the messaging functions from a sheet row
+ */
+function buildEmployeeInfo(employee, rowIndex, headers) {
+  const cell = columnKey => getEmployeeCell(employee, headers, columnKey);
+  const phone = normalizePhoneNumber(cell('PHONE'), cell('COUNTRY_CODE'));
+  
+  return {
+    name: cell('NAME'),
+    phone: phone.valid ? phone.phone : cell('PHONE').toString().replace(/\D/g, ''),
+    phoneError: phone.valid ? '' : phone.error,
+    joinDate: new Date(cell('JOIN_DATE')),
+    sentMessages: parseSentMessages(cell('SENT_MESSAGE')),
+    nudgesSent: parseSentMessages(cell('NUDGES_SENT')),
+    type: cell('TYPE') || 'Salon',
+    status: cell('STATUS').toString().trim(),
+    track: isStatus(cell('STATUS'), LIFECYCLE_CONFIG.EXITING_STATUS) ? 'offboarding' : 'onboarding',
+    pausedOn: cell('PAUSED_ON') ? new Date(cell('PAUSED_ON')) : null,
+    pausedDays: Number(cell('PAUSED_DAYS')) || 0,
+    exitDate: cell('EXIT_DATE') ? new Date(cell('EXIT_DATE')) : null,
+    department: cell('DEPARTMENT'),
+    branch: cell('BRANCH'),
+    email: cell('EMAIL').toString().trim(),
+    languages: getLanguageChain(cell('LANGUAGE'), cell('BRANCH')),
+    variables: buildTemplateVariables(headers, employee),
+    row: employee,
+    rowIndex: rowIndex // 1-based for Google Sheets
+  };
+}
+
 /**
  * ========================================
  * WHATSAPP MESSAGING FUNCTIONS
@@ -225,29 +847,39 @@ function processEmployeeMessages(employeeInfo, daysSinceJoin, sheet) {
  */
 
 /**
- * Send personalized WhatsApp message via WAHA API
- * Handles connection testing, message formatting, and delivery
+ * Send a rendered WhatsApp message via WAHA API
+ * Handles connection testing and delivery; personalize text with renderTemplate() first
+ * Returns { success, messageId, responseCode, error }
  */
-function sendWhatsAppMessage(phone, messageTemplate, employeeName) {
+function sendWhatsAppMessage(phone, messageText) {
   console.log(`📱 Sending WhatsApp message to ${phone}...`);
   
+  return sendToWAHA('/api/sendText', {
+    chatId: phone + '@c.us',
+    text: messageText
+  });
+}
+
+/**
+ * Post a message payload to a WAHA send endpoint (sendText, sendFile, sendImage...)
+ * The first WORKING session is added to the payload; if WAHA reports that session
+ * is no longer working, the statuses are refreshed and the next session is tried
+ * (each configured session at most once per message - triedSessions is internal)
+ * Returns { success, messageId, responseCode, permanent, sessionDown, error }
+ */
+function sendToWAHA(endpoint, payload, triedSessions) {
+  triedSessions = triedSessions || [];
+  
   try {
-    // Test WAHA connection first
-    const connectionStatus = testWAHAConnection();
-    if (!connectionStatus.success) {
-      console.error('❌ WAHA connection failed:', connectionStatus.error);
-      return false;
+    // Session status is checked once per run, not before every message
+    const sessionHealth = getSessionHealth();
+    if (!sessionHealth.success) {
+      console.error('❌ WAHA connection failed:', sessionHealth.error);
+      return { success: false, permanent: false, sessionDown: true, error: sessionHealth.error };
     }
-
-    // Personalize message with employee name
-    const personalizedMessage = messageTemplate.replace(/\{name\}/g, employeeName);
     
     // Prepare WhatsApp message payload
-    const messagePayload = {
-      session: WAHA_CONFIG.SESSION_NAME,
-      chatId: phone + '@c.us',
-      text: personalizedMessage
-    };
+    const messagePayload = Object.assign({ session: sessionHealth.session }, payload);
     
     // Configure HTTP request options
     const requestOptions = {
@@ -256,164 +888,4804 @@ function sendWhatsAppMessage(phone, messageTemplate, employeeName) {
         'Content-Type': 'application/json',
         'X-Api-Key': WAHA_CONFIG.API_KEY
       },
-      payload: JSON.stringify(messagePayload)
+      payload: JSON.stringify(messagePayload),
+      muteHttpExceptions: true
     };
     
-    console.log(`📤 Sending to: ${phone}@c.us via session: ${WAHA_CONFIG.SESSION_NAME}`);
+    console.log(`📤 Sending to: ${payload.chatId} via session: ${sessionHealth.session} (${endpoint})`);
     
     // Send message via WAHA API
-    const response = UrlFetchApp.fetch(WAHA_CONFIG.BASE_URL + '/api/sendText', requestOptions);
+    const response = UrlFetchApp.fetch(WAHA_CONFIG.BASE_URL + endpoint, requestOptions);
     const responseCode = response.getResponseCode();
     const responseBody = response.getContentText();
     
     console.log(`📡 WAHA Response: ${responseCode}`);
     console.log(`📄 Response Body: ${responseBody.substring(0, 100)}...`);
     
-    // Check if message was sent successfully
+    // Check if WAHA accepted the message - delivery is confirmed later by message.ack events
     if (responseCode === 200 || responseCode === 201) {
-      console.log('✅ WhatsApp message delivered successfully');
-      return true;
+      const messageId = extractMessageId(responseBody);
+      console.log(`✅ WhatsApp message accepted by WAHA (ID: ${messageId || 'unknown'})`);
+      return { success: true, messageId: messageId, responseCode: responseCode, session: sessionHealth.session };
     } else {
       console.error(`❌ WAHA API error: ${responseCode} - ${responseBody}`);
-      return false;
+      
+      // The session dropped since the run started - fail over to a WORKING one not tried yet
+      if (isSessionFailure(responseCode, responseBody)) {
+        const tried = triedSessions.concat(sessionHealth.session);
+        const refreshed = getSessionHealth(true, tried);
+        if (refreshed.success) {
+          console.warn(`🔀 Session ${sessionHealth.session} stopped working - retrying on ${refreshed.session}`);
+          return sendToWAHA(endpoint, payload, tried);
+        }
+        
+        console.error(`❌ No working session left to try (tried ${tried.join(', ')})`);
+        return { success: false, responseCode: responseCode, permanent: false, sessionDown: true, error: `WAHA session failure: ${responseBody.substring(0, 200)}` };
+      }
+      
+      return {
+        success: false,
+        responseCode: responseCode,
+        permanent: isPermanentSendFailure(responseCode, responseBody),
+        error: `WAHA API error ${responseCode}: ${responseBody.substring(0, 200)}`
+      };
     }
     
   } catch (error) {
+    // Timeouts and network errors are worth retrying
     console.error(`❌ WhatsApp messaging error:`, error.toString());
-    return false;
+    return { success: false, permanent: false, error: error.toString() };
+  }
+}
+
+/**
+ * Extract the message ID from a WAHA send response
+ * WAHA engines return either a plain string ID or an object with _serialized / key.id
+ */
+function extractMessageId(responseBody) {
+  try {
+    const message = JSON.parse(responseBody);
+    
+    if (typeof message.id === 'string') return message.id;
+    if (message.id && message.id._serialized) return message.id._serialized;
+    if (message.key && message.key.id) return message.key.id;
+    
+  } catch (error) {
+    console.warn('⚠️ Could not parse WAHA response for message ID:', error.toString());
   }
+  
+  return '';
 }
 
 /**
  * Test WAHA connection and session status
+ * Always asks WAHA afresh; returns { success, session, statuses, error }
  */
 function testWAHAConnection() {
   console.log('🔍 Testing WAHA connection...');
   
-  try {
-    const testOptions = {
-      method: 'GET',
-      headers: { 'X-Api-Key': WAHA_CONFIG.API_KEY }
-    };
-    
-    const response = UrlFetchApp.fetch(WAHA_CONFIG.BASE_URL + '/api/sessions', testOptions);
+  const sessionHealth = getSessionHealth(true);
+  if (sessionHealth.success) {
+    console.log(`✅ WAHA connection verified, session ${sessionHealth.session} is operational`);
+  } else {
+    console.error('❌ WAHA connection failed:', sessionHealth.error);
+  }
+  
+  return sessionHealth;
+}
+
+/**
+ * Normalize a phone number to E.164 digits (without the "+")
+ * 
+ * Handles "+91 98765 43210", "0091...", "098765 43210" (trunk 0), "(+44) 020..."
+ * and bare national numbers, which get the row's or the default country code.
+ * Returns { valid, phone, countryCode, error }
+ */
+function normalizePhoneNumber(phoneInput, countryCode) {
+  const raw = (phoneInput === null || phoneInput === undefined ? '' : phoneInput).toString().trim();
+  const defaultCode = (countryCode || PHONE_CONFIG.DEFAULT_COUNTRY_CODE).toString().replace(/\D/g, '');
+  const digits = raw.replace(/\D/g, '');
+  
+  if (!digits) {
+    return { valid: false, error: 'Phone number is empty' };
+  }
+  
+  let international;
+  
+  if (/^\+/.test(raw) || /^\(\+/.test(raw)) {
+    international = digits;
+  } else if (digits.indexOf('00') === 0) {
+    international = digits.slice(2);
+  } else {
+    const rule = COUNTRY_PHONE_RULES[defaultCode];
+    const national = digits.replace(/^0+/, '');
     
-    if (response.getResponseCode() !== 200) {
-      return { 
-        success: false, 
-        error: `WAHA server returned status ${response.getResponseCode()}` 
-      };
+    if (!rule || rule.lengths.includes(national.length)) {
+      international = defaultCode + national;
+    } else if (digits.indexOf(defaultCode) === 0 && rule.lengths.includes(digits.length - defaultCode.length)) {
+      international = digits;
+    } else {
+      return { valid: false, error: `Expected ${rule.lengths.join(' or ')} digits for ${rule.name} (+${defaultCode}), got ${national.length}` };
+    }
+  }
+  
+  return validateInternationalNumber(international);
+}
+
+/**
+ * Check the length of an international number against its country's rules
+ * Unknown country codes only get the E.164 length check (8-15 digits)
+ */
+function validateInternationalNumber(international) {
+  const code = [3, 2, 1]
+    .map(length => international.slice(0, length))
+    .find(prefix => COUNTRY_PHONE_RULES[prefix]);
+  
+  if (!code) {
+    if (international.length < 8 || international.length > 15) {
+      return { valid: false, error: `Number +${international} is not a valid international number` };
+    }
+    return { valid: true, phone: international, countryCode: '' };
+  }
+  
+  const rule = COUNTRY_PHONE_RULES[code];
+  let national = international.slice(code.length);
+  
+  // People often keep the trunk 0 after the country code, e.g. +44 (0)20...
+  if (!rule.lengths.includes(national.length) && national.indexOf('0') === 0) {
+    national = national.slice(1);
+  }
+  
+  if (!rule.lengths.includes(national.length)) {
+    return { valid: false, error: `Expected ${rule.lengths.join(' or ')} digits after +${code} (${rule.name}), got ${national.length}` };
+  }
+  
+  return { valid: true, phone: code + national, countryCode: code };
+}
+
+/**
+ * Ask WAHA whether a number is registered on WhatsApp
+ * Returns { checked, exists, error }
+ */
+function checkWhatsAppNumberExists(phone) {
+  try {
+    const sessionHealth = getSessionHealth();
+    if (!sessionHealth.success) {
+      return { checked: false, error: sessionHealth.error };
     }
     
-    const sessions = JSON.parse(response.getContentText());
-    const targetSession = sessions.find(session => session.name === WAHA_CONFIG.SESSION_NAME);
+    const url = `${WAHA_CONFIG.BASE_URL}/api/contacts/check-exists?phone=${encodeURIComponent(phone)}&session=${encodeURIComponent(sessionHealth.session)}`;
+    const response = UrlFetchApp.fetch(url, {
+      method: 'GET',
+      headers: { 'X-Api-Key': WAHA_CONFIG.API_KEY },
+      muteHttpExceptions: true
+    });
     
-    if (!targetSession || targetSession.status !== 'WORKING') {
-      return { 
-        success: false, 
-        error: `Session ${WAHA_CONFIG.SESSION_NAME} is not in WORKING status` 
-      };
+    if (response.getResponseCode() !== 200) {
+      return { checked: false, error: `WAHA check-exists returned status ${response.getResponseCode()}` };
     }
     
-    console.log('✅ WAHA connection verified, session is operational');
-    return { success: true };
+    const result = JSON.parse(response.getContentText());
+    return { checked: true, exists: result.numberExists === true };
     
   } catch (error) {
-    return { success: false, error: error.toString() };
+    return { checked: false, error: error.toString() };
   }
 }
 
 /**
- * Format phone number for WhatsApp (Indian format)
+ * Make sure an employee's number is valid and on WhatsApp before their first send
+ * The result is written to the "WhatsApp Check" column together with the number checked,
+ * so the lookup runs again only when HR changes the phone number
+ * Returns { ok, reason }
  */
-function formatPhoneForWhatsApp(phoneInput) {
-  // Remove all non-digit characters
-  let cleanPhone = phoneInput.toString().replace(/\D/g, '');
+function verifyEmployeePhone(employeeInfo, context) {
+  const checkColumn = findColumnIndex(context.headers, SHEET_COLUMNS.WHATSAPP_CHECK);
+  const previousCheck = checkColumn >= 0 ? (employeeInfo.row[checkColumn] || '').toString() : '';
+  
+  if (employeeInfo.phoneError) {
+    const label = `${PHONE_CONFIG.INVALID_LABEL}: ${employeeInfo.phoneError}`;
+    if (previousCheck !== label) {
+      writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.WHATSAPP_CHECK, label);
+    }
+    return { ok: false, reason: label };
+  }
+  
+  // Reuse the earlier result while the number is unchanged
+  const checkedNumber = (previousCheck.match(/\(\+(\d+)\)$/) || [])[1];
+  if (checkedNumber === employeeInfo.phone) {
+    return previousCheck.indexOf(PHONE_CONFIG.VALID_LABEL) === 0
+      ? { ok: true }
+      : { ok: false, reason: previousCheck };
+  }
+  
+  if (!PHONE_CONFIG.CHECK_WHATSAPP_NUMBERS || context.dryRun) {
+    return { ok: true };
+  }
   
-  // Add India country code if not present
-  if (cleanPhone.length === 10) {
-    cleanPhone = '91' + cleanPhone;
+  const lookup = checkWhatsAppNumberExists(employeeInfo.phone);
+  if (!lookup.checked) {
+    // Don't block the send because the lookup itself failed
+    console.warn(`⚠️ Could not check WhatsApp number for ${employeeInfo.name}: ${lookup.error}`);
+    return { ok: true };
   }
   
-  return cleanPhone;
+  const label = `${lookup.exists ? PHONE_CONFIG.VALID_LABEL : PHONE_CONFIG.NOT_ON_WHATSAPP_LABEL} (+${employeeInfo.phone})`;
+  writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.WHATSAPP_CHECK, label);
+  console.log(`📇 WhatsApp check for ${employeeInfo.name}: ${label}`);
+  
+  return lookup.exists ? { ok: true } : { ok: false, reason: label };
 }
 
 /**
  * ========================================
- * GOOGLE DOCS & SHEETS FUNCTIONS
+ * WAHA SESSION FUNCTIONS
  * ========================================
+ * 
+ * WAHA_CONFIG.SESSIONS lists the WhatsApp sessions in priority order. Their
+ * statuses are read from /api/sessions once per run and every send uses the
+ * first WORKING one. When a session leaves WORKING (e.g. SCAN_QR_CODE after
+ * the phone logs out) HR gets one email per drop; recoverSession() restarts
+ * a session through the WAHA API.
  */
 
 /**
- * Retrieve message template from Google Doc
+ * Get the WAHA session statuses, fetching them once per run
+ * forceRefresh asks WAHA again (after a send fails with a session error); sessions in
+ * excludeSessions are passed over when picking the WORKING one, for the rest of the run
+ * Returns { success, session, statuses, error }
  */
-function getMessageTemplate(documentId) {
-  console.log(`📄 Loading message template from document: ${documentId}`);
+function getSessionHealth(forceRefresh, excludeSessions) {
+  if (wahaSessionHealth && !forceRefresh) {
+    return wahaSessionHealth;
+  }
   
   try {
-    const document = DocumentApp.openById(documentId);
-    const documentBody = document.getBody();
-    const messageContent = documentBody.getText();
+    const response = UrlFetchApp.fetch(WAHA_CONFIG.BASE_URL + '/api/sessions?all=true', {
+      method: 'GET',
+      headers: { 'X-Api-Key': WAHA_CONFIG.API_KEY },
+      muteHttpExceptions: true
+    });
+    
+    if (response.getResponseCode() !== 200) {
+      // Not cached - the server may be back for the next message
+      wahaSessionHealth = null;
+      return { success: false, session: '', statuses: {}, error: `WAHA server returned status ${response.getResponseCode()}` };
+    }
+    
+    const sessions = JSON.parse(response.getContentText());
+    const statuses = {};
+    WAHA_CONFIG.SESSIONS.forEach(name => {
+      const session = sessions.find(candidate => candidate.name === name);
+      statuses[name] = session ? session.status : 'NOT_FOUND';
+    });
+    
+    alertSessionChanges(statuses);
+    
+    const excluded = excludeSessions || [];
+    const workingSession = WAHA_CONFIG.SESSIONS.find(name => statuses[name] === 'WORKING' && excluded.indexOf(name) < 0);
+    if (workingSession && workingSession !== WAHA_CONFIG.SESSIONS[0]) {
+      const primaryState = excluded.indexOf(WAHA_CONFIG.SESSIONS[0]) >= 0 ? 'failing sends' : statuses[WAHA_CONFIG.SESSIONS[0]];
+      console.warn(`🔀 Using backup session ${workingSession} (${WAHA_CONFIG.SESSIONS[0]} is ${primaryState})`);
+    }
     
-    console.log(`✅ Message template loaded: ${messageContent.substring(0, 50)}...`);
-    return messageContent;
+    wahaSessionHealth = {
+      success: !!workingSession,
+      session: workingSession || '',
+      statuses: statuses,
+      error: workingSession ? '' : excluded.length > 0
+        ? `No other WAHA session is in WORKING status (${describeSessionStatuses(statuses)}; failed: ${excluded.join(', ')})`
+        : `No WAHA session is in WORKING status (${describeSessionStatuses(statuses)})`
+    };
+    return wahaSessionHealth;
     
   } catch (error) {
-    console.error(`❌ Error loading document ${documentId}:`, error.toString());
-    return null;
+    wahaSessionHealth = null;
+    return { success: false, session: '', statuses: {}, error: error.toString() };
   }
 }
 
 /**
- * Update employee record in Google Sheet after successful message delivery
+ * Whether a WAHA send error means the session itself is not usable
  */
-function updateEmployeeRecord(sheet, rowIndex, messageSchedule, success) {
+function isSessionFailure(responseCode, responseBody) {
+  return (responseCode === 404 || responseCode === 422 || responseCode >= 500) &&
+    /session/i.test(responseBody) &&
+    /not found|status|STOPPED|STARTING|SCAN_QR_CODE|FAILED/i.test(responseBody);
+}
+
+/**
+ * "primary: WORKING, backup: SCAN_QR_CODE"
+ */
+function describeSessionStatuses(statuses) {
+  return Object.keys(statuses).map(name => `${name}: ${statuses[name]}`).join(', ');
+}
+
+/**
+ * Compare session statuses with the last ones seen and alert HR when a session stops WORKING
+ * The statuses are kept in Script Properties, so each drop is reported once;
+ * STARTING (e.g. during a restart) is recorded but not alerted on
+ */
+function alertSessionChanges(statuses) {
+  const properties = PropertiesService.getScriptProperties();
+  let previousStatuses = {};
   try {
-    if (success) {
-      // Update message-specific column
-      const columnIndex = SHEET_COLUMNS[messageSchedule.column];
-      sheet.getRange(rowIndex, columnIndex + 1).setValue('Sent');
-      
-      // Update last sent timestamp
-      sheet.getRange(rowIndex, SHEET_COLUMNS.LAST_SENT + 1).setValue(new Date());
-      
-      // Update employee status
-      sheet.getRange(rowIndex, SHEET_COLUMNS.STATUS + 1).setValue('Active');
-      
-      // Update sent messages tracking
-      updateSentMessageTracking(sheet, rowIndex, messageSchedule.key);
-      
-      console.log(`📊 Updated sheet record for row ${rowIndex}`);
-    }
+    previousStatuses = JSON.parse(properties.getProperty(SESSION_HEALTH_CONFIG.STATUS_PROPERTY) || '{}');
   } catch (error) {
-    console.error(`❌ Error updating sheet record:`, error.toString());
+    console.warn('⚠️ Could not read the previous session statuses:', error.toString());
   }
+  
+  Object.keys(statuses).forEach(name => {
+    const previous = previousStatuses[name];
+    const current = statuses[name];
+    if (previous === current) return;
+    
+    if (current === 'WORKING') {
+      if (previous) console.log(`✅ WAHA session ${name} is WORKING again (was ${previous})`);
+      return;
+    }
+    
+    if (current !== 'STARTING' && (!previous || previous === 'WORKING' || previous === 'STARTING')) {
+      console.error(`🚨 WAHA session ${name} is ${current}${previous ? ' (was WORKING)' : ''}`);
+      sendSessionAlert(name, current, statuses);
+    }
+  });
+  
+  properties.setProperty(SESSION_HEALTH_CONFIG.STATUS_PROPERTY, JSON.stringify(Object.assign(previousStatuses, statuses)));
 }
 
 /**
- * Update the sent messages tracking column
+ * Email HR that a WAHA session needs attention
  */
-function updateSentMessageTracking(sheet, rowIndex, messageKey) {
+function sendSessionAlert(sessionName, status, statuses) {
+  if (!SESSION_HEALTH_CONFIG.ALERT_EMAIL) return;
+  
+  const action = status === 'SCAN_QR_CODE'
+    ? 'The WhatsApp phone was logged out. Open the WAHA dashboard and scan the QR code again.'
+    : 'Run recoverSession() in Apps Script to restart it, or check the WAHA dashboard.';
+  
   try {
-    const currentTracking = sheet.getRange(rowIndex, SHEET_COLUMNS.SENT_MESSAGE + 1).getValue() || '';
-    const updatedTracking = currentTracking ? `${currentTracking}, ${messageKey}` : messageKey;
-    sheet.getRange(rowIndex, SHEET_COLUMNS.SENT_MESSAGE + 1).setValue(updatedTracking);
+    MailApp.sendEmail({
+      to: SESSION_HEALTH_CONFIG.ALERT_EMAIL,
+      subject: `WhatsApp session ${sessionName} is ${status}`,
+      body: [
+        `The WAHA session "${sessionName}" used by the HR onboarding bot is ${status}.`,
+        action,
+        '',
+        `All sessions: ${describeSessionStatuses(statuses)}`,
+        WAHA_CONFIG.SESSIONS.some(name => statuses[name] === 'WORKING')
+          ? 'Messages are going out through the next WORKING session meanwhile.'
+          : 'No session is WORKING, so messages use the email/SMS fallback or wait for a retry.'
+      ].join('\n')
+    });
+    console.log(`📧 Session alert sent to ${SESSION_HEALTH_CONFIG.ALERT_EMAIL}`);
   } catch (error) {
-    console.error('❌ Error updating message tracking:', error.toString());
+    console.error('❌ Could not send session alert:', error.toString());
   }
 }
 
 /**
- * ========================================
- * TESTING & UTILITY FUNCTIONS
+ * Restart a WAHA session through the API and report its status afterwards
+ * Without a name, restarts every configured session that is not WORKING
+ * Returns { success, results: [{ session, status, error }] }
+ */
+function recoverSession(sessionName) {
+  const health = getSessionHealth(true);
+  const targets = sessionName
+    ? [sessionName]
+    : WAHA_CONFIG.SESSIONS.filter(name => health.statuses[name] !== 'WORKING');
+  
+  if (targets.length === 0) {
+    console.log('✅ All WAHA sessions are WORKING - nothing to recover');
+    return { success: true, results: [] };
+  }
+  
+  const results = targets.map(name => {
+    console.log(`🔄 Restarting WAHA session ${name}...`);
+    try {
+      const response = UrlFetchApp.fetch(`${WAHA_CONFIG.BASE_URL}/api/sessions/${encodeURIComponent(name)}/restart`, {
+        method: 'POST',
+        headers: { 'X-Api-Key': WAHA_CONFIG.API_KEY },
+        muteHttpExceptions: true
+      });
+      
+      if (response.getResponseCode() !== 200 && response.getResponseCode() !== 201) {
+        const error = `Restart returned status ${response.getResponseCode()}: ${response.getContentText().substring(0, 200)}`;
+        console.error(`❌ ${name}: ${error}`);
+        return { session: name, status: '', error: error };
+      }
+      return { session: name, status: '', error: '' };
+      
+    } catch (error) {
+      console.error(`❌ ${name}:`, error.toString());
+      return { session: name, status: '', error: error.toString() };
+    }
+  });
+  
+  Utilities.sleep(SESSION_HEALTH_CONFIG.RECOVERY_WAIT_SECONDS * 1000);
+  const statuses = getSessionHealth(true).statuses;
+  
+  results.forEach(result => {
+    result.status = statuses[result.session] || 'UNKNOWN';
+    if (result.status === 'WORKING') {
+      console.log(`✅ Session ${result.session} is WORKING`);
+    } else if (result.status === 'SCAN_QR_CODE') {
+      console.warn(`📷 Session ${result.session} needs the QR code scanned in the WAHA dashboard`);
+    } else if (!result.error) {
+      console.warn(`⏳ Session ${result.session} is ${result.status} - check again in a minute`);
+    }
+  });
+  
+  return { success: results.every(result => result.status === 'WORKING'), results: results };
+}
+
+/**
+ * ========================================
+ * MEDIA ATTACHMENT FUNCTIONS
+ * ========================================
+ * 
+ * The Attachments column of a Sequences step lists one attachment per line
+ * (or separated by ";"), each optionally followed by "| caption template":
+ * • 1AbC...xyz | Your handbook, {name}          - Google Drive file ID
+ * • https://drive.google.com/file/d/1AbC.../view - Google Drive link
+ * • https://example.com/salon-map.png            - any public URL
+ * • location:19.0760,72.8777,Andheri Salon       - WhatsApp location pin
+ * 
+ * With "Send Text" set to No, the rendered template becomes the caption of
+ * the first attachment (ahead of its own caption) instead of being sent as a
+ * separate text message.
+ * 
+ * A step's Poll is sent last, after the text and attachments.
+ */
+
+/**
+ * Parse the Attachments cell of a Sequences step
+ */
+function parseAttachmentList(value) {
+  return (value || '').toString()
+    .split(/[\n;]/)
+    .map(line => line.trim())
+    .filter(line => line)
+    .map(line => {
+      const separatorIndex = line.indexOf('|');
+      const source = (separatorIndex >= 0 ? line.slice(0, separatorIndex) : line).trim();
+      const caption = separatorIndex >= 0 ? line.slice(separatorIndex + 1).trim() : '';
+      return { source: source, caption: caption };
+    });
+}
+
+/**
+ * Work out where an attachment comes from: a location pin, a Drive file or a URL
+ */
+function classifyAttachmentSource(source) {
+  if (/^location:/i.test(source)) {
+    return { kind: 'location' };
+  }
+  
+  const driveMatch = source.match(/\/d\/([\w-]{20,})/) || source.match(/[?&]id=([\w-]{20,})/) || source.match(/^([\w-]{20,})$/);
+  if (driveMatch && (!/^https?:/i.test(source) || /google\.com/i.test(source))) {
+    return { kind: 'drive', fileId: driveMatch[1] };
+  }
+  
+  if (/^https?:\/\//i.test(source)) {
+    return { kind: 'url' };
+  }
+  
+  return { kind: 'unknown' };
+}
+
+/**
+ * Load and check every attachment of a step, rendering captions for the employee
+ * Throws an Error if an attachment is missing, too large or of a type WhatsApp cannot send
+ */
+function prepareAttachments(step, variables, messageText) {
+  return step.attachments.map((attachment, index) => {
+    const source = classifyAttachmentSource(attachment.source);
+    let caption = attachment.caption ? renderTemplate(attachment.caption, variables) : '';
+    
+    // Without a separate text message, the template text captions the first attachment
+    if (index === 0 && !step.sendText) {
+      caption = caption ? `${messageText}\n\n${caption}` : messageText;
+    }
+    
+    if (source.kind === 'location') {
+      return Object.assign(parseLocationAttachment(attachment.source), { caption: caption });
+    }
+    
+    if (source.kind === 'unknown') {
+      throw new Error(`Attachment "${attachment.source}" is not a Drive file ID, URL or location`);
+    }
+    
+    const blob = source.kind === 'drive'
+      ? loadDriveAttachment(source.fileId)
+      : loadUrlAttachment(attachment.source);
+    
+    const mimeType = (blob.getContentType() || '').split(';')[0].trim().toLowerCase();
+    const sizeBytes = blob.getBytes().length;
+    checkAttachmentLimits(attachment.source, mimeType, sizeBytes);
+    
+    return {
+      type: MEDIA_CONFIG.IMAGE_MIME_TYPES.includes(mimeType) ? 'image' : 'file',
+      filename: blob.getName() || `attachment-${index + 1}`,
+      mimeType: mimeType,
+      sizeBytes: sizeBytes,
+      data: Utilities.base64Encode(blob.getBytes()),
+      caption: caption,
+      source: attachment.source
+    };
+  }).concat(step.poll ? [{
+    type: 'poll',
+    question: renderTemplate(step.poll.question, variables),
+    options: step.poll.options,
+    source: 'poll'
+  }] : []);
+}
+
+/**
+ * Parse "location:latitude,longitude[,title]"
+ */
+function parseLocationAttachment(source) {
+  const parts = source.replace(/^location:/i, '').split(',').map(part => part.trim());
+  const latitude = Number(parts[0]);
+  const longitude = Number(parts[1]);
+  
+  if (parts.length < 2 || isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw new Error(`Attachment "${source}" must be location:latitude,longitude[,title]`);
+  }
+  
+  return { type: 'location', latitude: latitude, longitude: longitude, title: parts.slice(2).join(', '), source: source };
+}
+
+/**
+ * Load a Drive file as a blob; Google Docs/Sheets/Slides are exported as PDF
+ */
+function loadDriveAttachment(fileId) {
+  try {
+    const file = DriveApp.getFileById(fileId);
+    return file.getMimeType().indexOf('application/vnd.google-apps.') === 0
+      ? file.getAs('application/pdf')
+      : file.getBlob();
+  } catch (error) {
+    throw new Error(`Drive file ${fileId} could not be opened: ${error.message}`);
+  }
+}
+
+/**
+ * Download an attachment from a URL
+ */
+function loadUrlAttachment(url) {
+  const response = UrlFetchApp.fetch(url, { muteHttpExceptions: true, followRedirects: true });
+  
+  if (response.getResponseCode() !== 200) {
+    throw new Error(`Attachment ${url} returned status ${response.getResponseCode()}`);
+  }
+  
+  const blob = response.getBlob();
+  if (!blob.getName()) {
+    blob.setName(decodeURIComponent(url.split('?')[0].split('/').pop()) || 'attachment');
+  }
+  return blob;
+}
+
+/**
+ * Check an attachment's MIME type and size against MEDIA_CONFIG
+ */
+function checkAttachmentLimits(source, mimeType, sizeBytes) {
+  if (!MEDIA_CONFIG.ALLOWED_MIME_TYPES.includes(mimeType)) {
+    throw new Error(`Attachment ${source} has unsupported type "${mimeType || 'unknown'}"`);
+  }
+  
+  const maxMb = MEDIA_CONFIG.IMAGE_MIME_TYPES.includes(mimeType) ? MEDIA_CONFIG.MAX_IMAGE_MB : MEDIA_CONFIG.MAX_FILE_MB;
+  if (sizeBytes > maxMb * 1024 * 1024) {
+    throw new Error(`Attachment ${source} is ${(sizeBytes / 1024 / 1024).toFixed(1)} MB, over the ${maxMb} MB limit`);
+  }
+  
+  if (sizeBytes === 0) {
+    throw new Error(`Attachment ${source} is empty`);
+  }
+}
+
+/**
+ * Send one prepared attachment through the matching WAHA endpoint
+ */
+function sendWhatsAppAttachment(phone, attachment) {
+  console.log(`📎 Sending ${attachment.type} attachment to ${phone}: ${attachment.filename || attachment.title || attachment.question || attachment.source}`);
+  const chatId = phone + '@c.us';
+  
+  if (attachment.type === 'poll') {
+    return sendToWAHA('/api/sendPoll', {
+      chatId: chatId,
+      poll: {
+        name: attachment.question,
+        options: attachment.options,
+        multipleAnswers: false
+      }
+    });
+  }
+  
+  if (attachment.type === 'location') {
+    return sendToWAHA('/api/sendLocation', {
+      chatId: chatId,
+      latitude: attachment.latitude,
+      longitude: attachment.longitude,
+      title: attachment.title || attachment.caption
+    });
+  }
+  
+  return sendToWAHA(attachment.type === 'image' ? '/api/sendImage' : '/api/sendFile', {
+    chatId: chatId,
+    file: {
+      mimetype: attachment.mimeType,
+      filename: attachment.filename,
+      data: attachment.data
+    },
+    caption: attachment.caption
+  });
+}
+
+/**
+ * Send a step's text message, attachments and poll
+ * The first message decides success; later attachment failures are reported as warnings
+ * so the text is never sent twice by a retry
+ * The poll's WAHA message ID is returned as pollMessageId, to match votes to the milestone
+ */
+function sendStepMessages(phone, step, messageText, attachments) {
+  const sends = [];
+  
+  if (step.sendText || attachments.every(attachment => attachment.type === 'poll')) {
+    sends.push({ send: () => sendWhatsAppMessage(phone, messageText) });
+  }
+  attachments.forEach(attachment => sends.push({ attachment: attachment, send: () => sendWhatsAppAttachment(phone, attachment) }));
+  
+  const firstResult = sends[0].send();
+  if (!firstResult.success) {
+    return firstResult;
+  }
+  
+  const warnings = [];
+  let pollMessageId = '';
+  for (let i = 1; i < sends.length; i++) {
+    const result = sends[i].send();
+    if (!result.success) {
+      warnings.push(result.error);
+    } else if (sends[i].attachment.type === 'poll') {
+      pollMessageId = result.messageId;
+    }
+  }
+  
+  return Object.assign(firstResult, { warnings: warnings, pollMessageId: pollMessageId });
+}
+
+/**
+ * Check a step's Drive attachments and caption templates before a run
+ * URL attachments are checked when they are downloaded at send time
+ */
+function findAttachmentProblems(step, knownVariables) {
+  const problems = [];
+  
+  for (const attachment of step.attachments) {
+    const source = classifyAttachmentSource(attachment.source);
+    
+    try {
+      if (source.kind === 'unknown') {
+        problems.push(`Attachment "${attachment.source}" is not a Drive file ID, URL or location`);
+      } else if (source.kind === 'location') {
+        parseLocationAttachment(attachment.source);
+      } else if (source.kind === 'drive') {
+        const file = DriveApp.getFileById(source.fileId);
+        const mimeType = file.getMimeType();
+        if (mimeType.indexOf('application/vnd.google-apps.') !== 0) {
+          checkAttachmentLimits(attachment.source, mimeType, file.getSize());
+        }
+      }
+    } catch (error) {
+      problems.push(error.message);
+    }
+    
+    if (attachment.caption) {
+      findTemplateProblems(attachment.caption, knownVariables)
+        .forEach(problem => problems.push(`Caption of ${attachment.source}: ${problem}`));
+    }
+  }
+  
+  if (step.poll) {
+    findTemplateProblems(step.poll.question, knownVariables)
+      .forEach(problem => problems.push(`Poll question: ${problem}`));
+  }
+  
+  return problems;
+}
+
+/**
+ * ========================================
+ * MESSAGE TRANSPORT FUNCTIONS
+ * ========================================
+ * 
+ * Every channel is a function (employeeInfo, step, messageText, attachments)
+ * returning a send result { success, messageId, responseCode, permanent, error },
+ * plus an availability check. TRANSPORT_CONFIG.CHAIN sets the order.
+ * Email and SMS carry the same rendered text; attachments go as email
+ * attachments, and location pins and polls are added to the text.
+ */
+
+const TRANSPORTS = {
+  whatsapp: { label: 'WhatsApp', isAvailable: employeeInfo => !employeeInfo.phoneError, send: sendViaWhatsApp },
+  email: { label: 'Email', isAvailable: employeeInfo => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(employeeInfo.email || ''), send: sendViaEmail },
+  sms: { label: 'SMS', isAvailable: employeeInfo => !!TRANSPORT_CONFIG.SMS.URL && !employeeInfo.phoneError, send: sendViaSms }
+};
+
+/**
+ * Get the fallback channels (after WhatsApp) that can reach an employee
+ */
+function getAvailableFallbacks(employeeInfo) {
+  return TRANSPORT_CONFIG.CHAIN
+    .filter(channel => channel !== 'whatsapp' && TRANSPORTS[channel])
+    .filter(channel => TRANSPORTS[channel].isAvailable(employeeInfo));
+}
+
+/**
+ * Send a step through the channel chain until one accepts it
+ * options: { whatsappUnavailable, finalAttempt }
+ * A transient WhatsApp failure is returned as-is (so it is retried on WhatsApp)
+ * unless it is the final attempt. Returns the successful channel's result with
+ * { channel, attempts: [{ channel, result }] }, or a failure result
+ */
+function sendThroughTransports(employeeInfo, step, messageText, attachments, options) {
+  const attempts = [];
+  
+  for (const channel of TRANSPORT_CONFIG.CHAIN) {
+    const transport = TRANSPORTS[channel];
+    if (!transport) {
+      console.warn(`⚠️ Unknown channel "${channel}" in TRANSPORT_CONFIG.CHAIN`);
+      continue;
+    }
+    if (channel === 'whatsapp' && options.whatsappUnavailable) continue;
+    if (!transport.isAvailable(employeeInfo)) continue;
+    
+    const result = transport.send(employeeInfo, step, messageText, attachments);
+    attempts.push({ channel: channel, result: result });
+    
+    if (result.success) {
+      if (attempts.length > 1 || channel !== 'whatsapp') {
+        console.log(`📨 ${step.key} for ${employeeInfo.name} delivered by ${transport.label} fallback`);
+      }
+      return Object.assign(result, { channel: channel, attempts: attempts, warnings: result.warnings || [] });
+    }
+    
+    // Keep retrying WhatsApp later for transient errors while attempts remain
+    if (channel === 'whatsapp' && !result.permanent && !result.sessionDown && !options.finalAttempt) {
+      return Object.assign(result, { channel: channel, attempts: attempts });
+    }
+  }
+  
+  if (attempts.length === 0) {
+    return { success: false, permanent: true, error: options.whatsappUnavailable || 'No channel can reach this employee', channel: '', attempts: attempts };
+  }
+  
+  const last = attempts[attempts.length - 1];
+  return Object.assign({}, last.result, {
+    permanent: attempts.every(attempt => attempt.result.permanent),
+    error: attempts.map(attempt => `${TRANSPORTS[attempt.channel].label}: ${attempt.result.error}`).join(' | '),
+    channel: last.channel,
+    attempts: attempts
+  });
+}
+
+/**
+ * WhatsApp channel - the step's text, attachments and poll via WAHA
+ */
+function sendViaWhatsApp(employeeInfo, step, messageText, attachments) {
+  return sendStepMessages(employeeInfo.phone, step, messageText, attachments);
+}
+
+/**
+ * Email channel - the rendered text via MailApp, with files attached
+ */
+function sendViaEmail(employeeInfo, step, messageText, attachments) {
+  try {
+    if (MailApp.getRemainingDailyQuota() < 1) {
+      return { success: false, permanent: false, error: 'Daily email quota used up' };
+    }
+    
+    // Attach files while they fit under the MailApp limit, link the rest
+    const maxBytes = TRANSPORT_CONFIG.EMAIL_MAX_ATTACHMENTS_MB * 1024 * 1024;
+    const attached = [];
+    const linked = [];
+    let attachedBytes = 0;
+    attachments.filter(attachment => attachment.data).forEach(attachment => {
+      if (attachedBytes + attachment.sizeBytes <= maxBytes) {
+        attached.push(attachment);
+        attachedBytes += attachment.sizeBytes;
+      } else {
+        linked.push(attachment);
+      }
+    });
+    
+    let body = buildFallbackText(step, messageText, attachments);
+    if (linked.length > 0) {
+      body += '\n\n' + linked.map(attachment => `📎 ${attachment.filename}: ${getAttachmentLink(attachment)}`).join('\n');
+    }
+    
+    MailApp.sendEmail({
+      to: employeeInfo.email,
+      subject: renderTemplate(TRANSPORT_CONFIG.EMAIL_SUBJECT, employeeInfo.variables),
+      body: body,
+      name: TRANSPORT_CONFIG.EMAIL_SENDER_NAME,
+      attachments: attached
+        .map(attachment => Utilities.newBlob(Utilities.base64Decode(attachment.data), attachment.mimeType, attachment.filename))
+    });
+    
+    console.log(`📧 ${step.key} emailed to ${employeeInfo.name} (${employeeInfo.email})${linked.length ? ` with ${linked.length} file(s) as links` : ''}`);
+    return { success: true, messageId: '', warnings: [] };
+    
+  } catch (error) {
+    console.error(`❌ Email to ${employeeInfo.email} failed:`, error.toString());
+    return { success: false, permanent: /invalid email/i.test(error.message), error: error.toString() };
+  }
+}
+
+/**
+ * Link to an attachment's source, for files too large to email
+ * Drive files need link sharing for the employee to open them
+ */
+function getAttachmentLink(attachment) {
+  const source = classifyAttachmentSource(attachment.source);
+  return source.kind === 'drive' ? `https://drive.google.com/file/d/${source.fileId}/view` : attachment.source;
+}
+
+/**
+ * SMS channel - the rendered text through the generic HTTP gateway in TRANSPORT_CONFIG.SMS
+ */
+function sendViaSms(employeeInfo, step, messageText, attachments) {
+  const smsConfig = TRANSPORT_CONFIG.SMS;
+  const text = buildFallbackText(step, messageText, attachments).substring(0, smsConfig.MAX_LENGTH);
+  
+  // JSON-escape the values so the payload stays valid whatever the message contains;
+  // replacer functions keep "$&", "$'" etc. in the text from being read as patterns
+  const jsonEscape = value => JSON.stringify(String(value)).slice(1, -1);
+  const payload = JSON.stringify(smsConfig.PAYLOAD)
+    .replace(/\{phone\}/g, () => jsonEscape(employeeInfo.phone))
+    .replace(/\{text\}/g, () => jsonEscape(text));
+  
+  try {
+    const response = UrlFetchApp.fetch(smsConfig.URL, {
+      method: smsConfig.METHOD,
+      contentType: 'application/json',
+      headers: smsConfig.HEADERS,
+      payload: payload,
+      muteHttpExceptions: true
+    });
+    const responseCode = response.getResponseCode();
+    const responseBody = response.getContentText();
+    
+    if (responseCode >= 200 && responseCode < 300) {
+      console.log(`📱 ${step.key} sent by SMS to ${employeeInfo.name}`);
+      return { success: true, messageId: extractMessageId(responseBody), responseCode: responseCode, warnings: [] };
+    }
+    
+    return {
+      success: false,
+      responseCode: responseCode,
+      permanent: responseCode >= 400 && responseCode < 500 && responseCode !== 408 && responseCode !== 429,
+      error: `SMS gateway error ${responseCode}: ${responseBody.substring(0, 200)}`
+    };
+    
+  } catch (error) {
+    console.error('❌ SMS gateway error:', error.toString());
+    return { success: false, permanent: false, error: error.toString() };
+  }
+}
+
+/**
+ * Plain text for the email and SMS channels: the message plus location links and the poll
+ */
+function buildFallbackText(step, messageText, attachments) {
+  const parts = [messageText];
+  
+  attachments.forEach(attachment => {
+    if (attachment.type === 'location') {
+      parts.push(`📍 ${attachment.title || 'Location'}: https://maps.google.com/?q=${attachment.latitude},${attachment.longitude}`);
+    } else if (attachment.type === 'poll') {
+      parts.push(`${attachment.question}\nPlease reply with one of: ${attachment.options.join(', ')}`);
+    } else if (attachment.caption) {
+      // Without "Send Text" the first caption starts with the message text itself
+      const caption = attachment.caption.indexOf(messageText) === 0
+        ? attachment.caption.slice(messageText.length).trim()
+        : attachment.caption;
+      if (caption) parts.push(caption);
+    }
+  });
+  
+  return parts.join('\n\n');
+}
+
+/**
+ * ========================================
+ * INBOUND WEBHOOK FUNCTIONS
+ * ========================================
+ * 
+ * Deploy the script as a web app (Execute as: Me, Access: Anyone) and set the
+ * WAHA session webhook URL to: <web app URL>?token=<WEBHOOK_CONFIG.SECRET>
+ * with the "message", "message.ack", "poll.vote" and "session.status" events enabled.
+ */
+
+/**
+ * Web app entry point for WAHA webhook events
+ */
+function doPost(e) {
+  try {
+    if (!e || !e.postData || !e.postData.contents) {
+      return createJsonResponse({ ok: false, error: 'Empty request' });
+    }
+    
+    // Apps Script cannot read request headers, so the secret travels in the URL
+    if (!WEBHOOK_CONFIG.SECRET || !e.parameter || e.parameter.token !== WEBHOOK_CONFIG.SECRET) {
+      console.warn('⚠️ Webhook call rejected: invalid token');
+      return createJsonResponse({ ok: false, error: 'Unauthorized' });
+    }
+    
+    const webhookEvent = JSON.parse(e.postData.contents);
+    console.log(`📥 Webhook event received: ${webhookEvent.event}`);
+    
+    switch (webhookEvent.event) {
+      case 'message':
+      case 'message.ack':
+      case 'poll.vote':
+        return createJsonResponse(handleSheetWebhookEvent(webhookEvent));
+      case 'session.status':
+        return createJsonResponse(handleSessionStatus(webhookEvent));
+      default:
+        return createJsonResponse({ ok: true, ignored: webhookEvent.event });
+    }
+    
+  } catch (error) {
+    console.error('❌ Error handling webhook:', error.toString());
+    return createJsonResponse({ ok: false, error: error.toString() });
+  }
+}
+
+/**
+ * Handle an event that writes to the Deliveries / employee sheets, under the script lock
+ * so it can't interleave with a sending run. If a run holds the lock for longer than
+ * WEBHOOK_CONFIG.LOCK_WAIT_SECONDS, the event is queued and handled after that run.
+ */
+function handleSheetWebhookEvent(webhookEvent) {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(WEBHOOK_CONFIG.LOCK_WAIT_SECONDS * 1000)) {
+    const key = `${WEBHOOK_CONFIG.QUEUE_PROPERTY_PREFIX}${Date.now()}_${Utilities.getUuid()}`;
+    PropertiesService.getScriptProperties().setProperty(key, JSON.stringify(webhookEvent));
+    console.log(`📥 ${webhookEvent.event} queued until the current run finishes`);
+    return { ok: true, queued: true };
+  }
+  
+  try {
+    processQueuedWebhookEvents();
+    return dispatchSheetWebhookEvent(webhookEvent);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Route a message / message.ack / poll.vote event to its handler
+ */
+function dispatchSheetWebhookEvent(webhookEvent) {
+  switch (webhookEvent.event) {
+    case 'message':
+      return handleIncomingMessage(webhookEvent);
+    case 'message.ack':
+      return handleMessageAck(webhookEvent);
+    default:
+      return handlePollVote(webhookEvent);
+  }
+}
+
+/**
+ * Handle the webhook events queued while a run held the lock, oldest first
+ * The caller must hold the script lock
+ */
+function processQueuedWebhookEvents() {
+  const properties = PropertiesService.getScriptProperties();
+  const keys = Object.keys(properties.getProperties())
+    .filter(key => key.indexOf(WEBHOOK_CONFIG.QUEUE_PROPERTY_PREFIX) === 0)
+    .sort();
+  
+  keys.forEach(key => {
+    const contents = properties.getProperty(key);
+    properties.deleteProperty(key);
+    try {
+      dispatchSheetWebhookEvent(JSON.parse(contents));
+    } catch (error) {
+      console.error(`❌ Queued webhook event could not be handled:`, error.toString());
+    }
+  });
+  
+  if (keys.length > 0) console.log(`📥 Handled ${keys.length} queued webhook event(s)`);
+}
+
+/**
+ * Alert HR as soon as WAHA reports a configured session changing status
+ */
+function handleSessionStatus(webhookEvent) {
+  const payload = webhookEvent.payload || {};
+  const name = payload.name || webhookEvent.session;
+  
+  if (!WAHA_CONFIG.SESSIONS.includes(name)) {
+    return { ok: true, ignored: 'session not configured' };
+  }
+  
+  const statuses = {};
+  statuses[name] = payload.status;
+  alertSessionChanges(statuses);
+  return { ok: true, session: name, status: payload.status };
+}
+
+/**
+ * Record an employee's WhatsApp reply and apply keyword actions (STOP/HELP)
+ */
+function handleIncomingMessage(webhookEvent) {
+  const message = webhookEvent.payload || {};
+  
+  // Ignore our own messages and group chats
+  if (message.fromMe || !message.from || !message.from.endsWith('@c.us')) {
+    return { ok: true, ignored: 'Not a direct message from a contact' };
+  }
+  
+  const phone = message.from.split('@')[0];
+  const messageText = (message.body || '').toString();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+  const match = findEmployeeByPhone(sheet, phone);
+  
+  const keyword = messageText.trim().split(/\s+/)[0].toUpperCase();
+  const keywordAction = REPLY_KEYWORDS[keyword] || null;
+  
+  // The reply answers the most recent milestone sent to the employee
+  const milestone = match ? match.employeeInfo.sentMessages.slice(-1)[0] || '' : '';
+  const employeeName = match ? match.employeeInfo.name : 'Unknown';
+  
+  const repliesSheet = getOrCreateSheet(WEBHOOK_CONFIG.REPLIES_SHEET_NAME, REPLIES_HEADERS);
+  repliesSheet.appendRow([
+    message.timestamp ? new Date(message.timestamp * 1000) : new Date(),
+    employeeName,
+    phone,
+    milestone,
+    messageText,
+    keywordAction ? keyword : '',
+    message.id || ''
+  ]);
+  
+  console.log(`💬 Reply from ${employeeName} (${phone}) recorded${milestone ? ` for ${milestone}` : ''}`);
+  
+  if (match && keywordAction) {
+    const statusColumn = ensureColumn(sheet, match.headers, SHEET_COLUMNS.STATUS);
+    sheet.getRange(match.employeeInfo.rowIndex, statusColumn + 1).setValue(keywordAction.status);
+    console.log(`🏷️ ${keyword} received, status set to "${keywordAction.status}" for ${employeeName}`);
+    
+    if (keywordAction.reply) {
+      const replyText = renderTemplate(keywordAction.reply, match.employeeInfo.variables);
+      recordAuditEntry({
+        employeeInfo: match.employeeInfo,
+        milestone: `reply:${keyword}`,
+        text: replyText,
+        sendResult: sendWhatsAppMessage(phone, replyText)
+      });
+    }
+  }
+  
+  return { ok: true, matched: !!match, milestone: milestone, keyword: keywordAction ? keyword : null };
+}
+
+/**
+ * Find the employee row whose normalized phone number matches
+ * Returns { employeeInfo, headers } or null
+ */
+function findEmployeeByPhone(sheet, phone) {
+  const employeeData = sheet.getDataRange().getValues();
+  const headers = employeeData[0];
+  
+  for (let i = 1; i < employeeData.length; i++) {
+    const employee = employeeData[i];
+    if (!getEmployeeCell(employee, headers, 'PHONE')) continue;
+    
+    const employeeInfo = buildEmployeeInfo(employee, i + 1, headers);
+    if (employeeInfo.phone === phone) {
+      return { employeeInfo: employeeInfo, headers: headers };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Wrap a result object as a JSON web app response
+ */
+function createJsonResponse(result) {
+  return ContentService.createTextOutput(JSON.stringify(result))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * ========================================
+ * DELIVERY TRACKING FUNCTIONS
+ * ========================================
+ * 
+ * Every milestone sent gets a row in the Deliveries sheet, keyed by
+ * phone + step key. WAHA "message.ack" webhook events update that row
+ * and the milestone's status cell (Sent → Delivered → Read).
+ */
+
+/**
+ * Build the Deliveries key for an employee milestone
+ */
+function getDeliveryKey(phone, stepKey) {
+  return `${phone}:${stepKey}`;
+}
+
+/**
+ * Find a delivery record by key, or by a predicate over the record fields
+ * Key lookups use the run's ledger (context.deliveries) when given instead of reading the sheet
+ * Returns { rowIndex, record } or null
+ */
+function findDeliveryRecord(keyOrPredicate, ledger) {
+  if (ledger && typeof keyOrPredicate !== 'function') {
+    return ledger[keyOrPredicate] || null;
+  }
+  
+  const deliveriesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(DELIVERY_CONFIG.SHEET_NAME);
+  if (!deliveriesSheet) return null;
+  
+  const rows = deliveriesSheet.getDataRange().getValues();
+  const headers = rows[0];
+  const matches = typeof keyOrPredicate === 'function'
+    ? keyOrPredicate
+    : record => record.key === keyOrPredicate;
+  
+  for (let i = rows.length - 1; i >= 1; i--) {
+    const record = readDeliveryRecord(headers, rows[i]);
+    if (record.key && matches(record)) {
+      return { rowIndex: i + 1, record: record };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * Get every delivery record in the Deliveries sheet
+ */
+function getDeliveryRecords() {
+  const deliveriesSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(DELIVERY_CONFIG.SHEET_NAME);
+  if (!deliveriesSheet) return [];
+  
+  const rows = deliveriesSheet.getDataRange().getValues();
+  const headers = rows[0];
+  
+  return rows.slice(1)
+    .map((row, index) => ({ rowIndex: index + 2, record: readDeliveryRecord(headers, row) }))
+    .filter(entry => entry.record.key);
+}
+
+/**
+ * Read the Deliveries sheet once into { key: { rowIndex, record } } for a run
+ * The latest row wins if a key appears twice, as in findDeliveryRecord()
+ */
+function loadDeliveryLedger() {
+  const ledger = {};
+  getDeliveryRecords().forEach(entry => { ledger[entry.record.key] = entry; });
+  return ledger;
+}
+
+/**
+ * Convert a Deliveries row into a record object using DELIVERY_FIELDS
+ */
+function readDeliveryRecord(headers, row) {
+  const record = {};
+  
+  for (const [field, header] of Object.entries(DELIVERY_FIELDS)) {
+    const columnIndex = findColumnIndex(headers, header);
+    record[field] = columnIndex >= 0 ? row[columnIndex] : '';
+  }
+  
+  return record;
+}
+
+/**
+ * Create or update the delivery record for a key with the given fields
+ * Columns missing from an older Deliveries sheet are added automatically
+ * A run passes its ledger (context.deliveries), which is kept in step with the sheet
+ */
+function saveDeliveryRecord(key, fields, ledger) {
+  const deliveriesSheet = getOrCreateSheet(DELIVERY_CONFIG.SHEET_NAME, Object.values(DELIVERY_FIELDS));
+  const headers = deliveriesSheet.getRange(1, 1, 1, Math.max(deliveriesSheet.getLastColumn(), 1)).getValues()[0];
+  const existing = findDeliveryRecord(key, ledger);
+  const rowIndex = existing ? existing.rowIndex : deliveriesSheet.getLastRow() + 1;
+  const values = Object.assign({ key: key }, fields);
+  
+  for (const [field, value] of Object.entries(values)) {
+    const header = DELIVERY_FIELDS[field];
+    let columnIndex = findColumnIndex(headers, header);
+    
+    if (columnIndex < 0) {
+      headers.push(header);
+      columnIndex = headers.length - 1;
+      deliveriesSheet.getRange(1, columnIndex + 1).setValue(header).setFontWeight('bold');
+    }
+    
+    deliveriesSheet.getRange(rowIndex, columnIndex + 1).setValue(value);
+  }
+  
+  if (ledger) {
+    // A new object, so records callers already hold (e.g. resetMilestone's snapshot) keep their values
+    const record = Object.assign({}, existing ? existing.record : readDeliveryRecord([], []), values);
+    ledger[key] = { rowIndex: rowIndex, record: record };
+  }
+  
+  return rowIndex;
+}
+
+/**
+ * Record a milestone accepted by WAHA so its acks can be tracked
+ * details: { messageId, pollMessageId, templateDocId, templateRevision, channel }
+ */
+function recordDelivery(employeeInfo, step, attempts, details, ledger) {
+  try {
+    saveDeliveryRecord(getDeliveryKey(employeeInfo.phone, step.key), {
+      name: employeeInfo.name,
+      phone: employeeInfo.phone,
+      milestone: step.key,
+      statusColumn: step.statusColumn,
+      messageId: details.messageId || '',
+      sentAt: new Date(),
+      ack: !details.channel || details.channel === 'whatsapp' ? 'PENDING' : '',
+      ackAt: '',
+      flagged: '',
+      state: DELIVERY_CONFIG.SENT_LABEL,
+      attempts: attempts || 1,
+      lastError: '',
+      lastAttemptAt: new Date(),
+      nextAttemptAt: '',
+      pollMessageId: details.pollMessageId || '',
+      pollVote: '',
+      pollVotedAt: '',
+      templateDocId: details.templateDocId || '',
+      templateRevision: details.templateRevision || '',
+      channel: details.channel || 'whatsapp'
+    }, ledger);
+    SpreadsheetApp.flush();
+  } catch (error) {
+    console.error('❌ Error recording delivery:', error.toString());
+  }
+}
+
+/**
+ * Apply a WAHA "message.ack" webhook event to the matching milestone
+ * Acks only ever move forward: SERVER → DEVICE → READ/PLAYED
+ */
+function handleMessageAck(webhookEvent) {
+  const ackEvent = webhookEvent.payload || {};
+  const messageId = extractMessageId(JSON.stringify(ackEvent));
+  const ackLevel = Number(ackEvent.ack);
+  
+  if (!messageId || !Object.prototype.hasOwnProperty.call(ACK_STATUS_LABELS, ackLevel)) {
+    return { ok: true, ignored: 'Ack without message ID or unknown ack level' };
+  }
+  
+  const match = findDeliveryRecord(record => messageIdsMatch(record.messageId, messageId));
+  if (!match) {
+    return { ok: true, ignored: 'Message is not an onboarding milestone' };
+  }
+  
+  const currentLevel = ACK_LEVELS[match.record.ack] !== undefined ? ACK_LEVELS[match.record.ack] : 0;
+  if (ackLevel !== ACK_LEVELS.ERROR && ackLevel <= currentLevel) {
+    return { ok: true, ignored: 'Ack is not newer than the recorded status' };
+  }
+  
+  const ackName = Object.keys(ACK_LEVELS).find(name => ACK_LEVELS[name] === ackLevel);
+  const statusLabel = ACK_STATUS_LABELS[ackLevel];
+  
+  saveDeliveryRecord(match.record.key, { ack: ackName, ackAt: new Date() });
+  setMilestoneStatus(match.record.phone, match.record.statusColumn, statusLabel, null);
+  
+  console.log(`📬 ${match.record.milestone} for ${match.record.name}: ${statusLabel}`);
+  return { ok: true, milestone: match.record.milestone, status: statusLabel };
+}
+
+/**
+ * Compare WAHA message IDs, allowing for the short and serialized forms
+ * e.g. "ABC123" matches "true_919876543210@c.us_ABC123"
+ */
+function messageIdsMatch(storedId, eventId) {
+  if (!storedId || !eventId) return false;
+  
+  const shortId = id => id.toString().split('_').pop();
+  return storedId === eventId || shortId(storedId) === shortId(eventId);
+}
+
+/**
+ * Write a milestone status cell for the employee with the given phone number
+ * A background colour highlights rows that need HR attention; null clears it
+ */
+function setMilestoneStatus(phone, statusColumn, statusLabel, backgroundColor) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+  const match = findEmployeeByPhone(sheet, phone);
+  
+  if (!match) {
+    console.warn(`⚠️ No employee found for ${phone}, status "${statusLabel}" not written`);
+    return false;
+  }
+  
+  // Annual events are tracked in the ledger without a status cell
+  if (!statusColumn) return false;
+  
+  const columnIndex = findColumnIndex(match.headers, statusColumn);
+  if (columnIndex < 0) {
+    console.warn(`⚠️ Status column "${statusColumn}" not found`);
+    return false;
+  }
+  
+  sheet.getRange(match.employeeInfo.rowIndex, columnIndex + 1)
+    .setValue(statusLabel)
+    .setBackground(backgroundColor);
+  return true;
+}
+
+/**
+ * Flag milestones WAHA accepted but that were not delivered to the phone within
+ * DELIVERY_CONFIG.UNDELIVERED_HOURS, so HR can follow up
+ * Runs after each automation run; can also be set up as its own time-driven trigger
+ */
+function checkUndeliveredMessages() {
+  console.log('🔍 Checking for undelivered messages...');
+  
+  const cutoff = new Date(Date.now() - DELIVERY_CONFIG.UNDELIVERED_HOURS * 60 * 60 * 1000);
+  let flaggedCount = 0;
+  
+  try {
+    for (const entry of getDeliveryRecords()) {
+      const record = entry.record;
+      const ackLevel = ACK_LEVELS[record.ack] !== undefined ? ACK_LEVELS[record.ack] : 0;
+      
+      if (record.flagged || !record.sentAt || ackLevel >= ACK_LEVELS.DEVICE) continue;
+      if (record.channel && record.channel !== 'whatsapp') continue;  // Email/SMS have no read receipts
+      if (new Date(record.sentAt) > cutoff) continue;
+      
+      setMilestoneStatus(record.phone, record.statusColumn, DELIVERY_CONFIG.UNDELIVERED_LABEL, DELIVERY_CONFIG.FLAG_COLOR);
+      saveDeliveryRecord(record.key, { flagged: new Date() });
+      flaggedCount++;
+      
+      console.warn(`⚠️ ${record.milestone} for ${record.name} not delivered after ${DELIVERY_CONFIG.UNDELIVERED_HOURS} hours`);
+    }
+    
+    console.log(`📊 Flagged ${flaggedCount} undelivered messages`);
+    return flaggedCount;
+    
+  } catch (error) {
+    console.error('❌ Error checking undelivered messages:', error.toString());
+    return flaggedCount;
+  }
+}
+
+/**
+ * ========================================
+ * PULSE SURVEY (POLL) FUNCTIONS
+ * ========================================
+ * 
+ * A step with a Poll sends a WhatsApp poll after its message. WAHA
+ * "poll.vote" webhook events are matched to the milestone by the poll's
+ * message ID (Deliveries sheet), and the score is written to the step's
+ * score column, e.g. "Day 30 Score". The Pulse Summary sheet averages the
+ * scores by employee type and by join month.
+ */
+
+/**
+ * Parse a Poll cell: "Question | option, option, ..." - returns null for a blank cell
+ * Throws an Error if the poll is malformed
+ */
+function parsePollDefinition(value) {
+  const text = (value || '').toString().trim();
+  if (!text) return null;
+  
+  const separatorIndex = text.lastIndexOf('|');
+  const question = separatorIndex >= 0 ? text.slice(0, separatorIndex).trim() : '';
+  const options = separatorIndex >= 0
+    ? text.slice(separatorIndex + 1).split(',').map(option => option.trim()).filter(option => option)
+    : [];
+  
+  if (!question || options.length < 2) {
+    throw new Error('Poll must be "Question | option, option, ..." with at least 2 options');
+  }
+  if (options.length > POLL_CONFIG.MAX_OPTIONS) {
+    throw new Error(`Poll has ${options.length} options, WhatsApp allows ${POLL_CONFIG.MAX_OPTIONS}`);
+  }
+  if (new Set(options).size !== options.length) {
+    throw new Error('Poll options must be different from each other');
+  }
+  
+  return { question: question, options: options };
+}
+
+/**
+ * Get the employee sheet column holding a step's poll score
+ */
+function getScoreColumnName(step) {
+  const statusColumn = step.statusColumn || `${step.key} Status`;
+  return /status$/i.test(statusColumn)
+    ? statusColumn.replace(/status$/i, POLL_CONFIG.SCORE_HEADER_SUFFIX)
+    : `${statusColumn} ${POLL_CONFIG.SCORE_HEADER_SUFFIX}`;
+}
+
+/**
+ * Score a poll option: its leading number, otherwise its 1-based position in the poll
+ * Returns null if the option is not part of the poll
+ */
+function scorePollOption(option, options) {
+  const leadingNumber = option.match(/^\s*(-?\d+(?:\.\d+)?)/);
+  if (leadingNumber) return Number(leadingNumber[1]);
+  
+  const position = (options || []).indexOf(option);
+  return position >= 0 ? position + 1 : null;
+}
+
+/**
+ * Apply a WAHA "poll.vote" webhook event to the milestone that sent the poll
+ * A changed vote overwrites the score; a retracted vote clears it
+ */
+function handlePollVote(webhookEvent) {
+  const payload = webhookEvent.payload || {};
+  const vote = payload.vote || {};
+  const pollId = (payload.poll || {}).id;
+  
+  if (!pollId || vote.fromMe) {
+    return { ok: true, ignored: 'Not an employee vote on a poll' };
+  }
+  
+  const match = findDeliveryRecord(record => messageIdsMatch(record.pollMessageId, pollId));
+  if (!match) {
+    return { ok: true, ignored: 'Poll is not an onboarding milestone' };
+  }
+  
+  const record = match.record;
+  const step = loadSequenceSteps().find(candidate => candidate.key === record.milestone && candidate.poll);
+  const selected = (vote.selectedOptions || [])[0] || '';
+  const score = selected ? scorePollOption(selected, step ? step.poll.options : []) : '';
+  
+  if (score === null) {
+    console.warn(`⚠️ Vote "${selected}" from ${record.name} could not be scored`);
+    return { ok: true, ignored: 'Vote could not be scored' };
+  }
+  
+  saveDeliveryRecord(record.key, { pollVote: selected, pollVotedAt: new Date() });
+  
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+  const employee = findEmployeeByPhone(sheet, record.phone);
+  if (!employee) {
+    console.warn(`⚠️ No employee found for ${record.phone}, score not written`);
+    return { ok: true, milestone: record.milestone, score: score, written: false };
+  }
+  
+  const scoreColumn = ensureColumn(sheet, employee.headers, getScoreColumnName(step || record));
+  sheet.getRange(employee.employeeInfo.rowIndex, scoreColumn + 1).setValue(score);
+  console.log(`📊 ${record.milestone} poll: ${record.name} voted "${selected || '(retracted)'}"`);
+  
+  updatePulseSummary();
+  return { ok: true, milestone: record.milestone, score: score, written: true };
+}
+
+/**
+ * Rebuild the Pulse Summary sheet from the score columns of every poll step
+ * Scores are grouped overall, by employee type and by join cohort (month)
+ */
+function updatePulseSummary() {
+  try {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+    const employeeData = sheet.getDataRange().getValues();
+    const headers = employeeData[0];
+    const rows = [];
+    const seenColumns = {};
+    
+    for (const step of loadSequenceSteps().filter(candidate => candidate.poll)) {
+      const scoreColumnName = getScoreColumnName(step);
+      const scoreColumn = findColumnIndex(headers, scoreColumnName);
+      if (scoreColumn < 0 || seenColumns[scoreColumnName]) continue;
+      seenColumns[scoreColumnName] = true;
+      
+      const groups = {};
+      const addScore = (groupBy, group, score) => {
+        const groupKey = `${groupBy}\u0000${group}`;
+        groups[groupKey] = groups[groupKey] || { groupBy: groupBy, group: group, scores: [] };
+        groups[groupKey].scores.push(score);
+      };
+      
+      for (const employee of employeeData.slice(1)) {
+        const score = employee[scoreColumn];
+        if (score === '' || score === null || isNaN(Number(score))) continue;
+        
+        const joinDate = new Date(getEmployeeCell(employee, headers, 'JOIN_DATE'));
+        addScore('All', 'All employees', Number(score));
+        addScore('Type', getEmployeeCell(employee, headers, 'TYPE') || 'Salon', Number(score));
+        addScore('Join Cohort', isNaN(joinDate.getTime()) ? 'Unknown' : Utilities.formatDate(joinDate, SCHEDULE_CONFIG.TIMEZONE, 'yyyy-MM'), Number(score));
+      }
+      
+      const groupOrder = ['All', 'Type', 'Join Cohort'];
+      Object.values(groups)
+        .sort((a, b) => groupOrder.indexOf(a.groupBy) - groupOrder.indexOf(b.groupBy) || a.group.toString().localeCompare(b.group.toString()))
+        .forEach(entry => {
+          const total = entry.scores.reduce((sum, score) => sum + score, 0);
+          rows.push([
+            step.key,
+            scoreColumnName,
+            entry.groupBy,
+            entry.group,
+            entry.scores.length,
+            Math.round(total / entry.scores.length * 100) / 100,
+            Math.min.apply(null, entry.scores),
+            Math.max.apply(null, entry.scores),
+            new Date()
+          ]);
+        });
+    }
+    
+    const summarySheet = getOrCreateSheet(POLL_CONFIG.SUMMARY_SHEET_NAME, PULSE_SUMMARY_HEADERS);
+    summarySheet.clearContents();
+    summarySheet.getRange(1, 1, 1, PULSE_SUMMARY_HEADERS.length).setValues([PULSE_SUMMARY_HEADERS]).setFontWeight('bold');
+    if (rows.length > 0) {
+      summarySheet.getRange(2, 1, rows.length, PULSE_SUMMARY_HEADERS.length).setValues(rows);
+    }
+    
+    console.log(`📊 Pulse Summary updated (${rows.length} rows)`);
+    return rows.length;
+    
+  } catch (error) {
+    console.error('❌ Error updating Pulse Summary:', error.toString());
+    return 0;
+  }
+}
+
+/**
+ * ========================================
+ * AUDIT LOG FUNCTIONS
+ * ========================================
+ * 
+ * The Audit sheet gets one row per send attempt and is never edited, only
+ * appended to. The SHA-256 of the rendered text proves what was sent without
+ * HR having to keep every message. When the sheet passes AUDIT_CONFIG.MAX_ROWS
+ * the oldest rows move to the archive spreadsheet; lookupMessageHistory()
+ * searches both.
+ */
+
+/**
+ * Append one send attempt to the Audit sheet
+ * entry: { employeeInfo, milestone, templateDocId, templateRevision, text, sendResult, attempt, channel }
+ */
+function recordAuditEntry(entry) {
+  try {
+    const sendResult = entry.sendResult || {};
+    const warnings = sendResult.warnings && sendResult.warnings.length > 0 ? `Partial: ${sendResult.warnings.join('; ')}` : '';
+    
+    getOrCreateSheet(AUDIT_CONFIG.SHEET_NAME, AUDIT_HEADERS).appendRow([
+      new Date(),
+      entry.employeeInfo.name,
+      entry.employeeInfo.phone,
+      entry.milestone,
+      entry.templateDocId || '',
+      entry.templateRevision || '',
+      hashText(entry.text || ''),
+      sendResult.responseCode || '',
+      sendResult.messageId || '',
+      sendResult.success ? 'Sent' : 'Failed',
+      sendResult.success ? warnings : (sendResult.error || 'Unknown error'),
+      entry.attempt || 1,
+      entry.channel || 'whatsapp'
+    ]);
+  } catch (error) {
+    console.error('❌ Error writing audit entry:', error.toString());
+  }
+}
+
+/**
+ * SHA-256 of a text as lowercase hex
+ */
+function hashText(text) {
+  return Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, text, Utilities.Charset.UTF_8)
+    .map(byte => ((byte + 256) % 256).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * Move the oldest Audit rows to the archive spreadsheet once the sheet passes AUDIT_CONFIG.MAX_ROWS
+ * Rows are copied to the archive before they are deleted here
+ */
+function archiveAuditLog() {
+  try {
+    const auditSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AUDIT_CONFIG.SHEET_NAME);
+    if (!auditSheet) return 0;
+    
+    const rowCount = auditSheet.getLastRow() - 1;
+    if (rowCount <= AUDIT_CONFIG.MAX_ROWS) return 0;
+    
+    const moveCount = rowCount - AUDIT_CONFIG.KEEP_ROWS;
+    const rows = auditSheet.getRange(2, 1, moveCount, AUDIT_HEADERS.length).getValues();
+    
+    const archiveSheet = getOrCreateSheet(AUDIT_CONFIG.SHEET_NAME, AUDIT_HEADERS, getAuditArchive(true));
+    archiveSheet.getRange(archiveSheet.getLastRow() + 1, 1, rows.length, AUDIT_HEADERS.length).setValues(rows);
+    SpreadsheetApp.flush();
+    
+    auditSheet.deleteRows(2, moveCount);
+    console.log(`🗄️ Archived ${moveCount} audit rows`);
+    return moveCount;
+    
+  } catch (error) {
+    console.error('❌ Error archiving audit log:', error.toString());
+    return 0;
+  }
+}
+
+/**
+ * Open the audit archive spreadsheet, creating it (and remembering its ID) when allowed
+ * Returns null if there is no archive yet and createMissing is false
+ */
+function getAuditArchive(createMissing) {
+  const properties = PropertiesService.getScriptProperties();
+  const archiveId = AUDIT_CONFIG.ARCHIVE_SPREADSHEET_ID || properties.getProperty(AUDIT_CONFIG.ARCHIVE_ID_PROPERTY);
+  
+  if (archiveId) {
+    return SpreadsheetApp.openById(archiveId);
+  }
+  if (!createMissing) {
+    return null;
+  }
+  
+  const archive = SpreadsheetApp.create(`${SpreadsheetApp.getActiveSpreadsheet().getName()} - Audit Archive`);
+  properties.setProperty(AUDIT_CONFIG.ARCHIVE_ID_PROPERTY, archive.getId());
+  console.log(`➕ Created audit archive spreadsheet ${archive.getId()}`);
+  return archive;
+}
+
+/**
+ * Answer "did we ever message this person?" from the Audit sheet and its archive
+ * Accepts a phone number (any format) or an employee name; returns the matching rows, oldest first
+ */
+function lookupMessageHistory(phoneOrName) {
+  const query = (phoneOrName || '').toString().trim();
+  const phone = normalizePhoneNumber(query);
+  const matches = [];
+  
+  const sources = [SpreadsheetApp.getActiveSpreadsheet().getSheetByName(AUDIT_CONFIG.SHEET_NAME)];
+  const archive = getAuditArchive(false);
+  if (archive) sources.unshift(archive.getSheetByName(AUDIT_CONFIG.SHEET_NAME));
+  
+  for (const auditSheet of sources.filter(sheet => sheet)) {
+    const rows = auditSheet.getDataRange().getValues();
+    const headers = rows[0];
+    const column = name => findColumnIndex(headers, name);
+    
+    for (const row of rows.slice(1)) {
+      const rowPhone = row[column('Phone')].toString();
+      const found = phone.valid
+        ? rowPhone === phone.phone
+        : normalizeHeader(row[column('Employee')]) === normalizeHeader(query);
+      
+      if (found) {
+        const entry = {};
+        AUDIT_HEADERS.forEach(header => { entry[header] = column(header) >= 0 ? row[column(header)] : ''; });
+        matches.push(entry);
+      }
+    }
+  }
+  
+  const sentCount = matches.filter(entry => entry.Result === 'Sent').length;
+  console.log(`🔎 ${query}: ${matches.length} send attempt(s), ${sentCount} accepted by WhatsApp`);
+  matches.forEach(entry => console.log(`   ${new Date(entry.Timestamp).toLocaleString()} - ${entry.Milestone}: ${entry.Result}${entry['Message ID'] ? ` (${entry['Message ID']})` : ''}${entry.Error ? ` - ${entry.Error}` : ''}`));
+  
+  return matches;
+}
+
+/**
+ * ========================================
+ * RETRY POLICY FUNCTIONS
+ * ========================================
+ * 
+ * Failed sends are retried on later runs with exponential backoff
+ * (RETRY_CONFIG.BASE_DELAY_MINUTES, doubling each attempt). Permanent
+ * failures, or RETRY_CONFIG.MAX_ATTEMPTS attempts, move the milestone to
+ * "Failed". HR clears the Failed status cell by hand to allow new attempts.
+ */
+
+/**
+ * Decide whether a milestone may be attempted now, based on its delivery record
+ * Returns { allowed, held, reason, attempts } - held milestones wait for HR but don't block later ones
+ */
+function checkRetryState(employeeInfo, step, delivery, context) {
+  const record = delivery ? delivery.record : null;
+  
+  if (!record || !record.state) {
+    return { allowed: true, attempts: 0 };
+  }
+  
+  // A send that was started but never confirmed may or may not have reached the employee
+  if (record.state === LOCK_CONFIG.SENDING_LABEL) {
+    if (!context.dryRun) markNeedsReview(employeeInfo, step, record, context.deliveries);
+    return { allowed: false, held: true, reason: `${step.key} send was interrupted - marked ${LOCK_CONFIG.NEEDS_REVIEW_LABEL}` };
+  }
+  
+  if (record.state === RETRY_CONFIG.FAILED_LABEL || record.state === LOCK_CONFIG.NEEDS_REVIEW_LABEL) {
+    // HR clears the Failed / Needs Review status cell to release the milestone
+    if (getMilestoneStatus(employeeInfo, step) === record.state) {
+      const detail = record.state === RETRY_CONFIG.FAILED_LABEL ? `failed (${record.lastError})` : 'may already have been sent';
+      return { allowed: false, held: true, reason: `${step.key} ${detail} - waiting for HR to clear it` };
+    }
+    
+    console.log(`🔓 ${step.key} for ${employeeInfo.name} was cleared by HR, retrying`);
+    if (!context.dryRun) {
+      saveDeliveryRecord(record.key, { state: '', attempts: 0, lastError: '', nextAttemptAt: '' }, context.deliveries);
+    }
+    return { allowed: true, attempts: 0 };
+  }
+  
+  if (record.state === RETRY_CONFIG.RETRYING_LABEL && record.nextAttemptAt && new Date(record.nextAttemptAt) > new Date()) {
+    return { allowed: false, reason: `${step.key} retry scheduled for ${new Date(record.nextAttemptAt).toLocaleString()}` };
+  }
+  
+  return { allowed: true, attempts: Number(record.attempts) || 0 };
+}
+
+/**
+ * Record a failed send attempt and schedule a retry or mark the milestone Failed
+ */
+function recordFailedAttempt(sheet, employeeInfo, step, sendResult, previousAttempts, ledger) {
+  const attempts = previousAttempts + 1;
+  const failed = sendResult.permanent || attempts >= RETRY_CONFIG.MAX_ATTEMPTS;
+  const statusCell = sheet.getRange(employeeInfo.rowIndex, step.statusColumnIndex + 1);
+  const fields = {
+    name: employeeInfo.name,
+    phone: employeeInfo.phone,
+    milestone: step.key,
+    statusColumn: step.statusColumn,
+    attempts: attempts,
+    lastError: sendResult.error || 'Unknown error',
+    lastAttemptAt: new Date()
+  };
+  
+  try {
+    if (failed) {
+      fields.state = RETRY_CONFIG.FAILED_LABEL;
+      fields.nextAttemptAt = '';
+      statusCell.setValue(RETRY_CONFIG.FAILED_LABEL).setBackground(DELIVERY_CONFIG.FLAG_COLOR);
+      console.error(`🛑 ${step.key} for ${employeeInfo.name} marked Failed after ${attempts} attempt(s): ${fields.lastError}`);
+    } else {
+      const delayMinutes = Math.min(RETRY_CONFIG.BASE_DELAY_MINUTES * Math.pow(2, attempts - 1), RETRY_CONFIG.MAX_DELAY_MINUTES);
+      fields.state = RETRY_CONFIG.RETRYING_LABEL;
+      fields.nextAttemptAt = new Date(Date.now() + delayMinutes * 60 * 1000);
+      statusCell.setValue(`${RETRY_CONFIG.RETRYING_LABEL} (${attempts}/${RETRY_CONFIG.MAX_ATTEMPTS})`);
+      console.warn(`🔁 ${step.key} for ${employeeInfo.name} will be retried in ${delayMinutes} minutes`);
+    }
+    
+    saveDeliveryRecord(getDeliveryKey(employeeInfo.phone, step.key), fields, ledger);
+  } catch (error) {
+    console.error('❌ Error recording failed attempt:', error.toString());
+  }
+  
+  return fields;
+}
+
+/**
+ * Decide whether a failed WAHA send is permanent (no point retrying)
+ * 4xx responses and invalid numbers are permanent; 5xx, 408, 429 and timeouts are retried
+ */
+function isPermanentSendFailure(responseCode, responseBody) {
+  if (/not (registered|exist)|invalid (phone|number|chat|wid)|no (lid|whatsapp) for/i.test(responseBody || '')) {
+    return true;
+  }
+  
+  return responseCode >= 400 && responseCode < 500 && responseCode !== 408 && responseCode !== 429;
+}
+
+/**
+ * Read the current status cell of a milestone from the employee row
+ */
+function getMilestoneStatus(employeeInfo, step) {
+  if (step.statusColumnIndex < 0) return '';
+  return (employeeInfo.row[step.statusColumnIndex] || '').toString().trim();
+}
+
+/**
+ * ========================================
+ * RUN LOCKING & IDEMPOTENCY FUNCTIONS
+ * ========================================
+ * 
+ * Sending runs hold the script lock, so an edit trigger and a time-driven
+ * trigger can't both send the same milestone. Each send is written to the
+ * Deliveries ledger as "Sending" (keyed by phone + step key) before WAHA is
+ * called, and confirmed as "Sent" afterwards. A "Sending" record found by a
+ * later run means the earlier run stopped mid-send: the milestone is marked
+ * "Needs Review" and never resent automatically. HR checks the chat, then
+ * clears the status cell to send it again, or adds the step key to Sent
+ * Messages if it arrived.
+ */
+
+/**
+ * Take the script lock for a sending run
+ * Returns the lock, or null if another run still holds it after LOCK_CONFIG.WAIT_SECONDS
+ */
+function acquireRunLock() {
+  const lock = LockService.getScriptLock();
+  
+  if (!lock.tryLock(LOCK_CONFIG.WAIT_SECONDS * 1000)) {
+    console.warn(`🔒 Another automation run is still in progress after ${LOCK_CONFIG.WAIT_SECONDS}s - skipping this run`);
+    return null;
+  }
+  
+  return lock;
+}
+
+/**
+ * Write the "Sending" ledger entry for a milestone and flush it to the sheet
+ * Returns false if it could not be written - the milestone must not be sent then
+ */
+function beginMilestoneSend(employeeInfo, step, ledger) {
+  try {
+    saveDeliveryRecord(getDeliveryKey(employeeInfo.phone, step.key), {
+      name: employeeInfo.name,
+      phone: employeeInfo.phone,
+      milestone: step.key,
+      statusColumn: step.statusColumn,
+      state: LOCK_CONFIG.SENDING_LABEL,
+      sendingAt: new Date()
+    }, ledger);
+    SpreadsheetApp.flush();
+    return true;
+  } catch (error) {
+    console.error(`❌ Could not record ${step.key} for ${employeeInfo.name} before sending:`, error.toString());
+    return false;
+  }
+}
+
+/**
+ * Mark an interrupted send for HR review on the ledger and the status cell
+ */
+function markNeedsReview(employeeInfo, step, record, ledger) {
+  console.warn(`⚠️ ${step.key} for ${employeeInfo.name} was interrupted after ${new Date(record.sendingAt).toLocaleString()} - it may already have been sent`);
+  
+  saveDeliveryRecord(record.key, {
+    state: LOCK_CONFIG.NEEDS_REVIEW_LABEL,
+    lastError: 'Run stopped before the send was confirmed'
+  }, ledger);
+  
+  if (step.statusColumnIndex >= 0) {
+    SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME)
+      .getRange(employeeInfo.rowIndex, step.statusColumnIndex + 1)
+      .setValue(LOCK_CONFIG.NEEDS_REVIEW_LABEL)
+      .setBackground(DELIVERY_CONFIG.FLAG_COLOR);
+  }
+}
+
+/**
+ * Schedule one automation run LOCK_CONFIG.DEBOUNCE_SECONDS after the latest sheet edit
+ * A burst of edits keeps pushing the run back instead of starting a run per edit
+ */
+function scheduleDebouncedRun() {
+  PropertiesService.getScriptProperties().setProperty(LOCK_CONFIG.LAST_EDIT_PROPERTY, Date.now().toString());
+  
+  // Edits from several users at once must not each create a trigger
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_CONFIG.WAIT_SECONDS * 1000)) {
+    console.warn('🔒 Could not take the script lock to schedule a run - the edit is picked up by the next run');
+    return;
+  }
+  
+  try {
+    const pending = ScriptApp.getProjectTriggers()
+      .some(trigger => trigger.getHandlerFunction() === 'runDebouncedAutomation');
+    
+    if (!pending) {
+      ScriptApp.newTrigger('runDebouncedAutomation')
+        .timeBased()
+        .after(LOCK_CONFIG.DEBOUNCE_SECONDS * 1000)
+        .create();
+      console.log(`⏱️ Automation run scheduled in ${LOCK_CONFIG.DEBOUNCE_SECONDS}s`);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Delete the runDebouncedAutomation triggers and, if seconds > 0, schedule a new one that far ahead
+ */
+function replaceDebouncedTrigger(seconds) {
+  ScriptApp.getProjectTriggers()
+    .filter(trigger => trigger.getHandlerFunction() === 'runDebouncedAutomation')
+    .forEach(trigger => ScriptApp.deleteTrigger(trigger));
+  
+  if (seconds > 0) {
+    ScriptApp.newTrigger('runDebouncedAutomation')
+      .timeBased()
+      .after(seconds * 1000)
+      .create();
+  }
+}
+
+/**
+ * Time-driven handler created by scheduleDebouncedRun()
+ * Waits again if the sheet was edited since it was scheduled, otherwise runs the automation
+ */
+function runDebouncedAutomation() {
+  // Trigger bookkeeping under the script lock, like scheduleDebouncedRun()
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(LOCK_CONFIG.WAIT_SECONDS * 1000)) {
+    // The fired trigger must still go, or scheduleDebouncedRun() would treat it as pending forever
+    replaceDebouncedTrigger(LOCK_CONFIG.DEBOUNCE_SECONDS);
+    console.warn(`🔒 Another automation run is still in progress - automation run moved back ${LOCK_CONFIG.DEBOUNCE_SECONDS}s`);
+    return null;
+  }
+  
+  try {
+    const lastEdit = Number(PropertiesService.getScriptProperties().getProperty(LOCK_CONFIG.LAST_EDIT_PROPERTY)) || 0;
+    const quietSeconds = (Date.now() - lastEdit) / 1000;
+    
+    if (quietSeconds < LOCK_CONFIG.DEBOUNCE_SECONDS) {
+      const waitSeconds = Math.ceil(LOCK_CONFIG.DEBOUNCE_SECONDS - quietSeconds);
+      replaceDebouncedTrigger(waitSeconds);
+      console.log(`⏱️ Sheet is still being edited, automation run moved back ${waitSeconds}s`);
+      return null;
+    }
+    
+    replaceDebouncedTrigger(0);
+  } finally {
+    lock.releaseLock();
+  }
+  
+  return checkAndSendMessages();
+}
+
+/**
+ * ========================================
+ * EMPLOYEE LIFECYCLE FUNCTIONS
+ * ========================================
+ * 
+ * The Status column decides what the bot does with an employee:
+ * • Blank / Active - onboarding steps, counted from Join Date minus Paused Days
+ * • Paused - nothing is sent. The bot stamps Paused On; when Status changes
+ *   back, the days paused are added to Paused Days so the schedule resumes
+ *   where it stopped
+ * • Exiting - onboarding stops and the Offboarding track runs, counted from
+ *   Exit Date (stamped with today if HR left it blank)
+ * • Inactive, Left, Opted Out (NO_MESSAGE_STATUSES) - nothing is sent
+ */
+
+/**
+ * Compare a Status cell with a status value, ignoring case and spacing
+ */
+function isStatus(value, status) {
+  return (value || '').toString().trim().toLowerCase() === status.toLowerCase();
+}
+
+/**
+ * Work out where an employee is in their schedule today, updating the pause columns as needed
+ * Returns { skip, reason } or { skip: false, day, description }
+ */
+function resolveEmployeeSchedule(context, employeeInfo, today) {
+  if (NO_MESSAGE_STATUSES.some(status => isStatus(employeeInfo.status, status))) {
+    return { skip: true, reason: `status is ${employeeInfo.status}` };
+  }
+  
+  if (isStatus(employeeInfo.status, LIFECYCLE_CONFIG.PAUSED_STATUS)) {
+    if (!employeeInfo.pausedOn) {
+      writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.PAUSED_ON, today);
+      console.log(`⏸️ ${employeeInfo.name} paused from ${getDateKey(today)}`);
+    }
+    return { skip: true, reason: `paused since ${getDateKey(employeeInfo.pausedOn || today)}` };
+  }
+  
+  // Resumed: fold the pause into Paused Days so later steps shift by the same amount
+  if (employeeInfo.pausedOn) {
+    const pausedFor = Math.max(calendarDaysBetween(employeeInfo.pausedOn, today), 0);
+    employeeInfo.pausedDays += pausedFor;
+    writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.PAUSED_DAYS, employeeInfo.pausedDays);
+    writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.PAUSED_ON, '');
+    employeeInfo.pausedOn = null;
+    console.log(`▶️ ${employeeInfo.name} resumed after ${pausedFor} day(s), schedule shifted by ${employeeInfo.pausedDays} day(s) in total`);
+  }
+  
+  if (employeeInfo.track === 'offboarding') {
+    if (!employeeInfo.exitDate || isNaN(employeeInfo.exitDate.getTime())) {
+      employeeInfo.exitDate = today;
+      writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.EXIT_DATE, today);
+    }
+    
+    const daysSinceExit = calendarDaysBetween(employeeInfo.exitDate, today);
+    return { skip: false, day: daysSinceExit, description: `exiting, ${daysSinceExit} days since exit date` };
+  }
+  
+  const daysSinceJoin = calendarDaysBetween(employeeInfo.joinDate, today) - employeeInfo.pausedDays;
+  const pauseNote = employeeInfo.pausedDays ? ` (after ${employeeInfo.pausedDays} paused day(s))` : '';
+  return { skip: false, day: daysSinceJoin, description: `${daysSinceJoin} days since joining${pauseNote}` };
+}
+
+/**
+ * ========================================
+ * LANGUAGE FUNCTIONS
+ * ========================================
+ * 
+ * MESSAGE_TEMPLATES keys can hold one Google Doc per language, e.g.
+ * salon_day0: { en: '<doc id>', hi: '<doc id>', mr: '<doc id>' }.
+ * Each employee gets the first available translation of: their Language
+ * column, the default for their Branch, then LANGUAGE_CONFIG.DEFAULT_LANGUAGE.
+ */
+
+/**
+ * Convert a Language cell ("Hindi", "hi", "मराठी") to a language code
+ * Unknown languages return '' so the employee falls back to the next language
+ */
+function normalizeLanguage(value) {
+  const text = (value || '').toString().trim().toLowerCase();
+  if (!text) return '';
+  
+  for (const [code, names] of Object.entries(LANGUAGE_CONFIG.LANGUAGES)) {
+    if (code === text || names.some(name => name.toLowerCase() === text)) {
+      return code;
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Build an employee's language fallback chain: employee language → branch default → default language
+ */
+function getLanguageChain(language, branch) {
+  const branchKey = Object.keys(LANGUAGE_CONFIG.BRANCH_DEFAULTS)
+    .find(name => normalizeHeader(name) === normalizeHeader(branch));
+  
+  const chain = [
+    normalizeLanguage(language),
+    branchKey ? normalizeLanguage(LANGUAGE_CONFIG.BRANCH_DEFAULTS[branchKey]) : '',
+    LANGUAGE_CONFIG.DEFAULT_LANGUAGE
+  ].filter(code => code);
+  
+  return chain.filter((code, index) => chain.indexOf(code) === index);
+}
+
+/**
+ * Report the template keys that are missing a translation for any language in LANGUAGE_CONFIG
+ * Also counts the employees whose preferred language is missing for a template they can receive
+ * Run manually after adding templates or languages
+ */
+function reportMissingTranslations() {
+  console.log('🌐 Checking template translations...');
+  
+  const steps = loadSequenceSteps();
+  const languages = Object.keys(LANGUAGE_CONFIG.LANGUAGES);
+  const templateKeys = Object.keys(MESSAGE_TEMPLATES)
+    .concat(steps.map(step => step.template).filter(template => MESSAGE_TEMPLATES[template]))
+    .filter((key, index, keys) => keys.indexOf(key) === index);
+  
+  // Employees who would fall back from their preferred language, per template key
+  const fallbackCounts = {};
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+  if (sheet) {
+    const employeeData = sheet.getDataRange().getValues();
+    const headers = employeeData[0];
+    
+    for (let i = 1; i < employeeData.length; i++) {
+      if (!isCompleteEmployeeRow(employeeData[i], headers)) continue;
+      
+      const employeeInfo = buildEmployeeInfo(employeeData[i], i + 1, headers);
+      for (const step of getStepsForEmployee(steps, employeeInfo)) {
+        const docId = getTemplateVariants(step.template)[employeeInfo.languages[0]];
+        if (!docId || isPlaceholder(docId)) {
+          const countKey = `${step.template}:${employeeInfo.languages[0]}`;
+          fallbackCounts[countKey] = (fallbackCounts[countKey] || 0) + 1;
+        }
+      }
+    }
+  }
+  
+  const missing = [];
+  for (const key of templateKeys) {
+    const variants = getTemplateVariants(key);
+    const missingLanguages = languages.filter(language => !variants[language] || isPlaceholder(variants[language]));
+    
+    if (missingLanguages.length > 0) {
+      const affected = missingLanguages.reduce((sum, language) => sum + (fallbackCounts[`${key}:${language}`] || 0), 0);
+      missing.push({ template: key, missing: missingLanguages, employeesAffected: affected });
+    }
+  }
+  
+  if (missing.length === 0) {
+    console.log(`✅ All ${templateKeys.length} templates have every translation (${languages.join(', ')})`);
+  } else {
+    console.warn(`⚠️ ${missing.length} of ${templateKeys.length} templates are missing translations:`);
+    missing.forEach(entry => console.warn(`   • ${entry.template}: missing ${entry.missing.join(', ')}` +
+      (entry.employeesAffected ? ` - ${entry.employeesAffected} employee(s) currently get a fallback` : '')));
+  }
+  
+  return missing;
+}
+
+/**
+ * ========================================
+ * SEND SCHEDULE FUNCTIONS
+ * ========================================
+ * 
+ * Dates and times are evaluated in SCHEDULE_CONFIG.TIMEZONE, whatever the
+ * script or spreadsheet timezone. Holidays come from the Holidays sheet
+ * (one date per row) and/or SCHEDULE_CONFIG.HOLIDAY_CALENDAR_ID.
+ */
+
+/**
+ * Get a calendar date key ("yyyy-MM-dd") in the company timezone
+ */
+function getDateKey(date) {
+  return Utilities.formatDate(new Date(date), SCHEDULE_CONFIG.TIMEZONE, 'yyyy-MM-dd');
+}
+
+/**
+ * Count calendar days from one date to another in the company timezone
+ * A join date of yesterday 23:30 is 1 day ago at 00:10 today
+ */
+function calendarDaysBetween(fromDate, toDate) {
+  const toUtcDay = dateKey => {
+    const parts = dateKey.split('-').map(Number);
+    return Date.UTC(parts[0], parts[1] - 1, parts[2]);
+  };
+  
+  return Math.round((toUtcDay(getDateKey(toDate)) - toUtcDay(getDateKey(fromDate))) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Decide whether messages may be sent at the given moment
+ * Returns { allowed, reason, nextSendAt } - nextSendAt is the next allowed slot when not allowed
+ */
+function checkSendWindow(now) {
+  const timeOfDay = Utilities.formatDate(now, SCHEDULE_CONFIG.TIMEZONE, 'HH:mm');
+  const holidays = loadHolidays();
+  const todayKey = getDateKey(now);
+  let reason = '';
+  
+  if (isHolidayOrSkipDay(todayKey, holidays)) {
+    reason = `${todayKey} is ${holidays.names[todayKey] ? `a holiday (${holidays.names[todayKey]})` : 'a non-sending day'}`;
+  } else if (timeOfDay < SCHEDULE_CONFIG.SEND_WINDOW_START || timeOfDay >= SCHEDULE_CONFIG.SEND_WINDOW_END) {
+    reason = `${timeOfDay} is outside the send window (${SCHEDULE_CONFIG.SEND_WINDOW_START}-${SCHEDULE_CONFIG.SEND_WINDOW_END} ${SCHEDULE_CONFIG.TIMEZONE})`;
+  }
+  
+  if (!reason) {
+    return { allowed: true, reason: '', nextSendAt: now };
+  }
+  
+  return { allowed: false, reason: reason, nextSendAt: findNextSendSlot(now, holidays) };
+}
+
+/**
+ * Find the start of the next allowed send slot after the given moment (looks up to 60 days ahead)
+ */
+function findNextSendSlot(now, holidays) {
+  const timeOfDay = Utilities.formatDate(now, SCHEDULE_CONFIG.TIMEZONE, 'HH:mm');
+  const todayParts = getDateKey(now).split('-').map(Number);
+  
+  for (let offset = 0; offset <= 60; offset++) {
+    const dayKey = new Date(Date.UTC(todayParts[0], todayParts[1] - 1, todayParts[2] + offset)).toISOString().slice(0, 10);
+    
+    if (offset === 0 && timeOfDay >= SCHEDULE_CONFIG.SEND_WINDOW_START) continue;
+    if (isHolidayOrSkipDay(dayKey, holidays)) continue;
+    
+    return zonedDate(dayKey, SCHEDULE_CONFIG.SEND_WINDOW_START);
+  }
+  
+  return null;
+}
+
+/**
+ * Check a date key against SCHEDULE_CONFIG.SKIP_DAYS and the loaded holidays
+ */
+function isHolidayOrSkipDay(dateKey, holidays) {
+  const weekday = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][new Date(`${dateKey}T12:00:00Z`).getUTCDay()];
+  
+  if (SCHEDULE_CONFIG.SKIP_DAYS.includes(weekday)) return true;
+  if (holidays.names[dateKey]) return true;
+  
+  return isCalendarHoliday(dateKey, holidays);
+}
+
+/**
+ * Load holidays from the Holidays sheet
+ * Returns { names: { 'yyyy-MM-dd': name }, calendar, checkedCalendarDays }
+ */
+function loadHolidays() {
+  const holidays = { names: {}, calendar: null, checkedCalendarDays: {} };
+  
+  try {
+    const holidaysSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SCHEDULE_CONFIG.HOLIDAYS_SHEET_NAME);
+    if (holidaysSheet) {
+      holidaysSheet.getDataRange().getValues().slice(1).forEach(row => {
+        const date = row[0] instanceof Date ? row[0] : new Date(row[0]);
+        if (row[0] && !isNaN(date.getTime())) {
+          holidays.names[getDateKey(date)] = (row[1] || 'Holiday').toString();
+        }
+      });
+    }
+    
+    if (SCHEDULE_CONFIG.HOLIDAY_CALENDAR_ID) {
+      holidays.calendar = CalendarApp.getCalendarById(SCHEDULE_CONFIG.HOLIDAY_CALENDAR_ID);
+      if (!holidays.calendar) {
+        console.warn(`⚠️ Holiday calendar ${SCHEDULE_CONFIG.HOLIDAY_CALENDAR_ID} not found or not shared with this account`);
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error loading holidays:', error.toString());
+  }
+  
+  return holidays;
+}
+
+/**
+ * Check the holiday calendar for any event on a date key, remembering the answer
+ */
+function isCalendarHoliday(dateKey, holidays) {
+  if (!holidays.calendar) return false;
+  
+  if (!Object.prototype.hasOwnProperty.call(holidays.checkedCalendarDays, dateKey)) {
+    const events = holidays.calendar.getEventsForDay(zonedDate(dateKey, '12:00'));
+    holidays.checkedCalendarDays[dateKey] = events.length > 0;
+    if (events.length > 0) holidays.names[dateKey] = events[0].getTitle();
+  }
+  
+  return holidays.checkedCalendarDays[dateKey];
+}
+
+/**
+ * Build a Date for a date key and HH:mm time in the company timezone
+ */
+function zonedDate(dateKey, time) {
+  const noonUtc = new Date(`${dateKey}T12:00:00Z`);
+  const offset = Utilities.formatDate(noonUtc, SCHEDULE_CONFIG.TIMEZONE, 'Z');  // e.g. +0530
+  return new Date(`${dateKey}T${time}:00${offset.slice(0, 3)}:${offset.slice(3)}`);
+}
+
+/**
+ * Format a date for logs in the company timezone
+ */
+function formatScheduleDate(date) {
+  return date ? Utilities.formatDate(date, SCHEDULE_CONFIG.TIMEZONE, 'EEE dd MMM yyyy HH:mm') : 'not found';
+}
+
+/**
+ * ========================================
+ * PREVIEW (DRY RUN) FUNCTIONS
+ * ========================================
+ */
+
+/**
+ * Add an employee's outcome to the preview of a dry run
+ */
+function addPreviewRow(context, employeeInfo, result) {
+  if (!context.dryRun) return;
+  
+  context.previewRows.push([
+    new Date(),
+    employeeInfo.name,
+    employeeInfo.phone,
+    employeeInfo.rowIndex,
+    result.step ? result.step.key : '',
+    result.step ? result.step.template : '',
+    result.templateDocId || '',
+    result.messageText || '',
+    (result.attachments || []).map(attachment => describeAttachment(attachment)).join('\n'),
+    result.error || result.reason || (result.sent ? 'Would send' : '')
+  ]);
+}
+
+/**
+ * Describe a prepared attachment for the Preview sheet
+ */
+function describeAttachment(attachment) {
+  if (attachment.type === 'poll') {
+    return `📊 ${attachment.question} [${attachment.options.join(' / ')}]`;
+  }
+  
+  if (attachment.type === 'location') {
+    return `📍 ${attachment.title || 'Location'} (${attachment.latitude}, ${attachment.longitude})`;
+  }
+  
+  const sizeKb = Math.round(attachment.sizeBytes / 1024);
+  return `📎 ${attachment.filename} (${attachment.mimeType}, ${sizeKb} KB)${attachment.caption ? ` - ${attachment.caption}` : ''}`;
+}
+
+/**
+ * Replace the contents of the Preview sheet with the dry run results
+ */
+function writePreviewSheet(context) {
+  const previewSheet = getOrCreateSheet(PREVIEW_CONFIG.SHEET_NAME, PREVIEW_HEADERS);
+  
+  previewSheet.clearContents();
+  previewSheet.getRange(1, 1, 1, PREVIEW_HEADERS.length).setValues([PREVIEW_HEADERS]).setFontWeight('bold');
+  
+  if (context.previewRows.length > 0) {
+    previewSheet.getRange(2, 1, context.previewRows.length, PREVIEW_HEADERS.length).setValues(context.previewRows);
+  }
+  
+  console.log(`🔎 Preview written to "${PREVIEW_CONFIG.SHEET_NAME}" (${context.previewRows.length} employees)`);
+}
+
+/**
+ * ========================================
+ * GOOGLE DOCS & SHEETS FUNCTIONS
+ * ========================================
+ */
+
+/**
+ * Retrieve message template text from Google Doc
+ */
+function getMessageTemplate(documentId) {
+  const template = loadMessageTemplate(documentId);
+  return template ? template.text : null;
+}
+
+/**
+ * Load a message template with its revision (the doc's last-updated time)
+ * Templates are kept for the rest of the run, and in CacheService under a key that
+ * includes the revision, so an edited doc is picked up on the next run
+ * Returns { docId, text, revision } or null
+ */
+function loadMessageTemplate(documentId) {
+  if (loadedTemplates[documentId]) {
+    return loadedTemplates[documentId];
+  }
+  
+  console.log(`📄 Loading message template from document: ${documentId}`);
+  
+  try {
+    const revision = getTemplateRevision(documentId);
+    const cache = CacheService.getScriptCache();
+    const cacheKey = `template:${documentId}:${revision}`;
+    let text = revision ? cache.get(cacheKey) : null;
+    
+    if (text === null) {
+      const document = DocumentApp.openById(documentId);
+      text = TEMPLATE_CONFIG.CONVERT_FORMATTING
+        ? convertDocToWhatsApp(document.getBody())
+        : document.getBody().getText();
+      
+      if (revision) {
+        try {
+          cache.put(cacheKey, text, TEMPLATE_CONFIG.CACHE_SECONDS);
+        } catch (error) {
+          console.warn(`⚠️ Template ${documentId} not cached: ${error.message}`);
+        }
+      }
+    }
+    
+    loadedTemplates[documentId] = { docId: documentId, text: text, revision: revision };
+    console.log(`✅ Message template loaded (revision ${revision || 'unknown'}): ${text.substring(0, 50)}...`);
+    return loadedTemplates[documentId];
+    
+  } catch (error) {
+    console.error(`❌ Error loading document ${documentId}:`, error.toString());
+    return null;
+  }
+}
+
+/**
+ * Get a doc's revision as its last-updated timestamp, e.g. "2024-05-02T10:15:30.000Z"
+ * Returns '' if Drive can't tell (the template is then loaded without the cache)
+ */
+function getTemplateRevision(documentId) {
+  try {
+    return DriveApp.getFileById(documentId).getLastUpdated().toISOString();
+  } catch (error) {
+    console.warn(`⚠️ Could not read the revision of ${documentId}: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Convert a Google Doc body to WhatsApp text, keeping bold, italic, strikethrough and lists
+ * Tables and other elements are kept as plain text
+ */
+function convertDocToWhatsApp(body) {
+  const lines = [];
+  const listCounters = {};
+  
+  for (let i = 0; i < body.getNumChildren(); i++) {
+    const element = body.getChild(i);
+    const type = element.getType();
+    
+    if (type === DocumentApp.ElementType.LIST_ITEM) {
+      const listItem = element.asListItem();
+      const level = listItem.getNestingLevel();
+      const counterKey = `${listItem.getListId()}:${level}`;
+      const bulletGlyphs = [DocumentApp.GlyphType.BULLET, DocumentApp.GlyphType.HOLLOW_BULLET, DocumentApp.GlyphType.SQUARE_BULLET];
+      
+      // Restart numbering of deeper levels when a shallower item appears
+      Object.keys(listCounters)
+        .filter(key => key.indexOf(`${listItem.getListId()}:`) === 0 && Number(key.split(':').pop()) > level)
+        .forEach(key => delete listCounters[key]);
+      listCounters[counterKey] = (listCounters[counterKey] || 0) + 1;
+      
+      const marker = bulletGlyphs.includes(listItem.getGlyphType()) ? '•' : `${listCounters[counterKey]}.`;
+      lines.push(`${'  '.repeat(level)}${marker} ${convertElementText(listItem)}`);
+    } else if (type === DocumentApp.ElementType.PARAGRAPH) {
+      lines.push(convertElementText(element.asParagraph()));
+    } else {
+      lines.push(element.getText ? element.getText() : '');
+    }
+  }
+  
+  return lines.join('\n').trim();
+}
+
+/**
+ * Convert the text runs of a paragraph or list item to WhatsApp markup
+ * Docs also splits runs on font, color and link changes, so neighbouring runs with the
+ * same bold/italic/strikethrough are merged first - otherwise "*Wel**come*" or "*{na**me}*"
+ */
+function convertElementText(element) {
+  const runs = [];
+  
+  for (let i = 0; i < element.getNumChildren(); i++) {
+    const child = element.getChild(i);
+    if (child.getType() !== DocumentApp.ElementType.TEXT) continue;
+    
+    const text = child.asText();
+    const content = text.getText();
+    const indices = text.getTextAttributeIndices();
+    
+    indices.forEach((start, index) => {
+      const end = index + 1 < indices.length ? indices[index + 1] : content.length;
+      const style = {
+        bold: !!text.isBold(start),
+        italic: !!text.isItalic(start),
+        strikethrough: !!text.isStrikethrough(start)
+      };
+      const previous = runs[runs.length - 1];
+      
+      if (previous && previous.style.bold === style.bold && previous.style.italic === style.italic &&
+          previous.style.strikethrough === style.strikethrough) {
+        previous.text += content.substring(start, end);
+      } else {
+        runs.push({ text: content.substring(start, end), style: style });
+      }
+    });
+  }
+  
+  return runs.map(run => applyWhatsAppMarkup(run.text, run.style)).join('');
+}
+
+/**
+ * Wrap a run of text in WhatsApp markers, keeping surrounding spaces outside them
+ * (WhatsApp ignores "* bold *") and formatting each line separately
+ */
+function applyWhatsAppMarkup(run, style) {
+  const markers = (style.bold ? '*' : '') + (style.italic ? '_' : '') + (style.strikethrough ? '~' : '');
+  if (!markers) return run;
+  
+  const closing = markers.split('').reverse().join('');
+  return run.split('\n').map(line => {
+    const match = line.match(/^(\s*)(.*?)(\s*)$/);
+    return match[2] ? `${match[1]}${markers}${match[2]}${closing}${match[3]}` : line;
+  }).join('\n');
+}
+
+/**
+ * Update employee record in Google Sheet after successful message delivery
+ */
+function updateEmployeeRecord(context, rowIndex, step, success) {
+  const sheet = context.sheet;
+  
+  try {
+    if (success) {
+      // Update the step's status column, clearing any earlier failure highlight
+      sheet.getRange(rowIndex, step.statusColumnIndex + 1).setValue('Sent').setBackground(null);
+      
+      // Update last sent timestamp
+      const lastSentColumn = ensureColumn(sheet, context.headers, SHEET_COLUMNS.LAST_SENT);
+      sheet.getRange(rowIndex, lastSentColumn + 1).setValue(new Date());
+      
+      // Mark new employees Active without overwriting a status set by HR or a reply keyword
+      const statusColumn = ensureColumn(sheet, context.headers, SHEET_COLUMNS.STATUS);
+      const statusCell = sheet.getRange(rowIndex, statusColumn + 1);
+      if (!statusCell.getValue()) {
+        statusCell.setValue('Active');
+      }
+      
+      // Update sent messages tracking
+      updateSentMessageTracking(context, rowIndex, step.key);
+      
+      console.log(`📊 Updated sheet record for row ${rowIndex}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error updating sheet record:`, error.toString());
+  }
+}
+
+/**
+ * Update the sent messages tracking column
+ */
+function updateSentMessageTracking(context, rowIndex, messageKey) {
+  try {
+    const trackingColumn = ensureColumn(context.sheet, context.headers, SHEET_COLUMNS.SENT_MESSAGE);
+    const trackingCell = context.sheet.getRange(rowIndex, trackingColumn + 1);
+    const currentTracking = trackingCell.getValue() || '';
+    if (parseSentMessages(currentTracking).includes(messageKey)) return;   // e.g. a manual resend
+    const updatedTracking = currentTracking ? `${currentTracking}, ${messageKey}` : messageKey;
+    trackingCell.setValue(updatedTracking);
+  } catch (error) {
+    console.error('❌ Error updating message tracking:', error.toString());
+  }
+}
+
+/**
+ * Split the sent messages tracking string into a list of step keys
+ */
+function parseSentMessages(trackingValue) {
+  return (trackingValue || '').toString()
+    .split(',')
+    .map(key => key.trim())
+    .filter(key => key);
+}
+
+/**
+ * Get a sheet by name, creating it with a bold header row if it does not exist
+ */
+function getOrCreateSheet(sheetName, headers, spreadsheet) {
+  spreadsheet = spreadsheet || SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+    console.log(`➕ Created "${sheetName}" sheet`);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Find a column by header name (case and whitespace insensitive)
+ * Headers listed in COLUMN_ALIASES are tried as well
+ * Returns the 0-based index, or -1 if the header is not present
+ */
+function findColumnIndex(headers, headerName) {
+  const candidates = [headerName].concat(COLUMN_ALIASES[headerName] || []).map(normalizeHeader);
+  
+  for (const candidate of candidates) {
+    const columnIndex = headers.findIndex(header => normalizeHeader(header) === candidate);
+    if (columnIndex >= 0) return columnIndex;
+  }
+  
+  return -1;
+}
+
+/**
+ * Read an employee cell by SHEET_COLUMNS key, returning '' if the column is missing
+ */
+function getEmployeeCell(employee, headers, columnKey) {
+  const columnIndex = findColumnIndex(headers, SHEET_COLUMNS[columnKey]);
+  const value = columnIndex >= 0 ? employee[columnIndex] : '';
+  return value === null || value === undefined ? '' : value;
+}
+
+/**
+ * Check that a row has every required column filled in
+ */
+function isCompleteEmployeeRow(employee, headers) {
+  return REQUIRED_COLUMNS.every(columnKey => getEmployeeCell(employee, headers, columnKey) !== '');
+}
+
+/**
+ * Validate the employee sheet headers before a run
+ * 
+ * • Required columns (REQUIRED_COLUMNS) must exist
+ * • A column must not appear twice, or the bot can't tell which one to use
+ * • Step status columns must not point at a data column such as Join Date
+ * 
+ * Missing AUTO_CREATED_COLUMNS are appended when createMissing is not false.
+ * Returns { valid, problems }
+ */
+function validateSheetSchema(sheet, steps, createMissing) {
+  console.log('🔍 Validating employee sheet columns...');
+  
+  const headers = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+  const problems = [];
+  
+  for (const columnKey of REQUIRED_COLUMNS) {
+    const headerName = SHEET_COLUMNS[columnKey];
+    if (findColumnIndex(headers, headerName) < 0) {
+      const aliases = COLUMN_ALIASES[headerName] ? ` (or ${COLUMN_ALIASES[headerName].map(alias => `"${alias}"`).join(', ')})` : '';
+      problems.push(`Required column "${headerName}"${aliases} is missing`);
+    }
+  }
+  
+  for (const headerName of Object.values(SHEET_COLUMNS)) {
+    const candidates = [headerName].concat(COLUMN_ALIASES[headerName] || []).map(normalizeHeader);
+    const matches = headers.filter(header => candidates.includes(normalizeHeader(header)));
+    if (matches.length > 1) {
+      problems.push(`Column "${headerName}" appears ${matches.length} times (${matches.join(', ')})`);
+    }
+  }
+  
+  const dataColumns = Object.values(SHEET_COLUMNS).filter(headerName => headerName !== SHEET_COLUMNS.WHATSAPP_CHECK);
+  for (const step of steps || []) {
+    const clash = dataColumns.find(headerName => findColumnIndex([step.statusColumn], headerName) === 0);
+    if (clash) {
+      problems.push(`Step ${step.key} uses "${step.statusColumn}" as its status column, which is the ${clash} column`);
+    }
+  }
+  
+  if (problems.length > 0) {
+    console.error(`❌ Sheet "${sheet.getName()}" failed schema validation - nothing will be sent:`);
+    problems.forEach(problem => console.error(`   • ${problem}`));
+    console.error(`   Headers found: ${headers.filter(header => header !== '').join(', ')}`);
+    return { valid: false, problems: problems };
+  }
+  
+  if (createMissing !== false) {
+    AUTO_CREATED_COLUMNS.forEach(columnKey => ensureColumn(sheet, headers, SHEET_COLUMNS[columnKey]));
+  }
+  
+  console.log('✅ Sheet columns are valid');
+  return { valid: true, problems: [] };
+}
+
+/**
+ * Normalize a header for comparison
+ */
+function normalizeHeader(header) {
+  return (header || '').toString().trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * ========================================
+ * SEQUENCE CONFIGURATION FUNCTIONS
+ * ========================================
+ */
+
+/**
+ * Load message sequence steps from the Sequences sheet
+ * Falls back to DEFAULT_SEQUENCES when the sheet does not exist; steps whose template
+ * doc ID is still a placeholder are left out with a warning (kept if includePlaceholders
+ * is true, for the preflight checks)
+ */
+function loadSequenceSteps(includePlaceholders) {
+  const sequenceSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SEQUENCE_CONFIG.SHEET_NAME);
+  
+  if (!sequenceSheet) {
+    console.warn(`⚠️ Sheet "${SEQUENCE_CONFIG.SHEET_NAME}" not found, using built-in sequences. Run setupSequencesSheet() to customise them.`);
+    return DEFAULT_SEQUENCES.map(definition => createSequenceStep(definition))
+      .filter(step => step && (includePlaceholders || hasTemplateDocId(step, `Built-in step ${step.key} (${step.sequence})`)));
+  }
+  
+  const rows = sequenceSheet.getDataRange().getValues();
+  const headers = rows[0];
+  const column = name => findColumnIndex(headers, name);
+  const steps = [];
+  
+  for (let i = 1; i < rows.length; i++) {
+    const row = rows[i];
+    const cell = name => column(name) >= 0 ? row[column(name)] : '';
+    
+    // Skip blank rows
+    if (!cell('Step Key') && !cell('Template')) continue;
+    
+    const step = createSequenceStep({
+      sequence: cell('Sequence'),
+      key: cell('Step Key'),
+      day: cell('Offset Days'),
+      type: cell('Employee Type'),
+      department: cell('Department'),
+      template: cell('Template'),
+      statusColumn: cell('Status Column'),
+      enabled: cell('Enabled'),
+      attachments: cell('Attachments'),
+      sendText: cell('Send Text'),
+      catchUp: cell('Catch Up'),
+      track: cell('Track'),
+      poll: cell('Poll'),
+      nudge: cell('Nudge')
+    }, i + 1);
+    
+    if (step && (includePlaceholders || hasTemplateDocId(step, `${SEQUENCE_CONFIG.SHEET_NAME} row ${i + 1} (${step.key})`))) {
+      steps.push(step);
+    }
+  }
+  
+  console.log(`📋 Loaded ${steps.length} sequence steps from "${SEQUENCE_CONFIG.SHEET_NAME}"`);
+  return steps;
+}
+
+/**
+ * Check that a step's template resolves to a real doc ID rather than a 'YOUR_..._HERE' placeholder
+ * Steps still on a placeholder wait, with a warning, until the doc ID has been filled in
+ */
+function hasTemplateDocId(step, location) {
+  if (!isPlaceholder(resolveTemplateDocId(step.template, []))) return true;
+  
+  console.warn(`⚠️ ${location} skipped - set the ${step.template} doc ID in MESSAGE_TEMPLATES to enable it`);
+  return false;
+}
+
+/**
+ * Validate a sequence definition and convert it to a step object
+ * Returns null for disabled or invalid steps
+ */
+function createSequenceStep(definition, rowIndex) {
+  const location = rowIndex ? `${SEQUENCE_CONFIG.SHEET_NAME} row ${rowIndex}` : `built-in step ${definition.key}`;
+  if (!parseYesNo(definition.enabled, true)) return null;
+  
+  const key = (definition.key || '').toString().trim();
+  const day = Number(definition.day);
+  const template = (definition.template || '').toString().trim();
+  
+  if (!key || key.includes(',')) {
+    console.error(`❌ ${location}: Step Key is required and cannot contain commas`);
+    return null;
+  }
+  if (definition.day === '' || !Number.isInteger(day) || day < 0) {
+    console.error(`❌ ${location}: Offset Days must be a whole number of days (0 or more)`);
+    return null;
+  }
+  if (!template) {
+    console.error(`❌ ${location}: Template is required`);
+    return null;
+  }
+  
+  const track = (definition.track || SEQUENCE_CONFIG.TRACKS[0]).toString().trim().toLowerCase();
+  if (!SEQUENCE_CONFIG.TRACKS.some(name => name.toLowerCase() === track)) {
+    console.error(`❌ ${location}: Track must be one of ${SEQUENCE_CONFIG.TRACKS.join(', ')}`);
+    return null;
+  }
+  
+  let poll = null;
+  try {
+    poll = parsePollDefinition(definition.poll);
+  } catch (error) {
+    console.error(`❌ ${location}: ${error.message}`);
+    return null;
+  }
+  
+  const catchUp = parseCatchUpPolicy(definition.catchUp);
+  if (!catchUp) {
+    console.error(`❌ ${location}: Catch Up must be "always", "latest" or "grace:N" (got "${definition.catchUp}")`);
+    return null;
+  }
+  
+  return {
+    sequence: (definition.sequence || '').toString().trim(),
+    key: key,
+    day: day,
+    types: parseFilterList(definition.type),
+    departments: parseFilterList(definition.department),
+    template: template,
+    statusColumn: (definition.statusColumn || '').toString().trim() || `${key} Status`,
+    statusColumnIndex: -1, // Resolved against the employee sheet by ensureStatusColumns()
+    attachments: parseAttachmentList(definition.attachments),
+    sendText: parseYesNo(definition.sendText, true),
+    catchUp: catchUp,
+    track: track,
+    poll: poll,
+    nudge: (definition.nudge || '').toString().trim()
+  };
+}
+
+/**
+ * Parse a Catch Up cell: "always", "latest", "grace:N" (or "grace N", or just N)
+ * Blank cells use CATCH_UP_CONFIG.DEFAULT_POLICY; returns null if the value is not understood
+ */
+function parseCatchUpPolicy(value) {
+  const text = (value === undefined || value === null || value === '' ? CATCH_UP_CONFIG.DEFAULT_POLICY : value)
+    .toString().trim().toLowerCase();
+  
+  if (text === 'always' || text === 'latest') {
+    return { mode: text, graceDays: null };
+  }
+  
+  const grace = text.match(/^(?:grace\s*[:\s]\s*)?(\d+)(?:\s*days?)?$/);
+  if (grace) {
+    return { mode: 'grace', graceDays: Number(grace[1]) };
+  }
+  
+  return null;
+}
+
+/**
+ * Read a Yes/No style cell, using the default when it is blank
+ */
+function parseYesNo(value, defaultValue) {
+  if (value === undefined || value === null || value === '') return defaultValue;
+  if (value === true || value === false) return value;
+  return !['no', 'false', 'n', '0'].includes(value.toString().trim().toLowerCase());
+}
+
+/**
+ * Parse an Employee Type / Department filter cell
+ * An empty list matches every employee
+ */
+function parseFilterList(value) {
+  return (value || '').toString()
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(item => item && item !== 'all' && item !== '*');
+}
+
+/**
+ * Get the steps that apply to an employee, ordered by offset day
+ * Only steps of the employee's current track (onboarding or offboarding) are returned
+ */
+function getStepsForEmployee(steps, employeeInfo) {
+  const type = (employeeInfo.type || '').toString().trim().toLowerCase();
+  const department = (employeeInfo.department || '').toString().trim().toLowerCase();
+  const track = employeeInfo.track || 'onboarding';
+  
+  return steps
+    .filter(step => step.track === track)
+    .filter(step => step.types.length === 0 || step.types.includes(type))
+    .filter(step => step.departments.length === 0 || step.departments.includes(department))
+    .sort((a, b) => a.day - b.day);
+}
+
+/**
+ * Apply a step's catch-up policy to an overdue step
+ * Returns the reason to skip it, or null if it should be sent
+ */
+function checkCatchUpPolicy(step, daysSinceJoin, employeeInfo, steps) {
+  const daysLate = daysSinceJoin - step.day;
+  if (daysLate <= 0) return null;
+  
+  if (step.catchUp.mode === 'grace' && daysLate > step.catchUp.graceDays) {
+    return `${daysLate} days late (grace is ${step.catchUp.graceDays})`;
+  }
+  
+  if (step.catchUp.mode === 'latest') {
+    const laterStep = getStepsForEmployee(steps, employeeInfo)
+      .find(other => other.day > step.day && other.day <= daysSinceJoin);
+    if (laterStep) return `${laterStep.key} is also due`;
+  }
+  
+  return null;
+}
+
+/**
+ * Mark a stale step as skipped so it is treated as done and never sent
+ * In a dry run only the employee info is updated, so later steps are evaluated the same way
+ * label defaults to CATCH_UP_CONFIG.SKIPPED_LABEL (the sidebar passes its own)
+ */
+function markStepSkipped(context, employeeInfo, step, reason, label) {
+  const skippedLabel = label || CATCH_UP_CONFIG.SKIPPED_LABEL;
+  console.log(`⏭️ ${step.key} for ${employeeInfo.name} marked ${skippedLabel}: ${reason}`);
+  employeeInfo.sentMessages.push(step.key);
+  addPreviewRow(context, employeeInfo, { step: step, templateDocId: resolveTemplateDocId(step.template, employeeInfo.languages), reason: `${skippedLabel}: ${reason}` });
+  
+  if (context.dryRun) return;
+  
+  try {
+    context.sheet.getRange(employeeInfo.rowIndex, step.statusColumnIndex + 1)
+      .setValue(skippedLabel)
+      .setBackground(CATCH_UP_CONFIG.SKIPPED_COLOR)
+      .setNote(`Skipped ${new Date().toLocaleDateString()}: ${reason}`);
+    updateSentMessageTracking(context, employeeInfo.rowIndex, step.key);
+  } catch (error) {
+    console.error(`❌ Error marking ${step.key} skipped for ${employeeInfo.name}:`, error.toString());
+  }
+}
+
+/**
+ * Resolve a step template to a Google Doc ID
+ * Accepts a MESSAGE_TEMPLATES key or a raw document ID
+ * For keys with translations, the first language of the chain that has a doc is used
+ */
+function resolveTemplateDocId(template, languages) {
+  const entry = MESSAGE_TEMPLATES[template];
+  if (!entry) return template;
+  if (typeof entry === 'string') return entry;
+  
+  const chain = (languages || []).concat(LANGUAGE_CONFIG.DEFAULT_LANGUAGE);
+  const language = chain.find(code => entry[code] && !isPlaceholder(entry[code])) || Object.keys(entry)[0];
+  return entry[language];
+}
+
+/**
+ * Get every doc ID a template key can resolve to, keyed by language code
+ * Single-doc keys and raw doc IDs are returned under DEFAULT_LANGUAGE
+ */
+function getTemplateVariants(template) {
+  const entry = MESSAGE_TEMPLATES[template] || template;
+  if (typeof entry === 'string') {
+    return { [LANGUAGE_CONFIG.DEFAULT_LANGUAGE]: entry };
+  }
+  return Object.assign({}, entry);
+}
+
+/**
+ * Check whether a config value (doc ID, key) is still a 'YOUR_..._HERE' placeholder
+ */
+function isPlaceholder(value) {
+  return /^YOUR_\w+_HERE$/.test(value || '');
+}
+
+/**
+ * Make sure every step's status column exists in the employee sheet
+ * Missing columns are appended after the last header (unless createMissing is false,
+ * as in a dry run); returns the header row
+ */
+function ensureStatusColumns(sheet, steps, createMissing) {
+  const lastColumn = Math.max(sheet.getLastColumn(), 1);
+  const headers = sheet.getRange(1, 1, 1, lastColumn).getValues()[0];
+  
+  for (const step of steps) {
+    step.statusColumnIndex = createMissing === false
+      ? findColumnIndex(headers, step.statusColumn)
+      : ensureColumn(sheet, headers, step.statusColumn);
+  }
+  
+  return headers;
+}
+
+/**
+ * Find a column by header, appending it to the sheet if it is missing
+ * The headers array is updated in place; returns the 0-based index
+ */
+function ensureColumn(sheet, headers, headerName) {
+  let columnIndex = findColumnIndex(headers, headerName);
+  
+  if (columnIndex < 0) {
+    headers.push(headerName);
+    columnIndex = headers.length - 1;
+    sheet.getRange(1, columnIndex + 1).setValue(headerName);
+    console.log(`➕ Added column "${headerName}"`);
+  }
+  
+  return columnIndex;
+}
+
+/**
+ * Write a value to a named column of an employee's row, creating the column if needed
+ */
+function writeEmployeeCell(context, employeeInfo, headerName, value) {
+  if (context.dryRun) return;
+  
+  const columnIndex = ensureColumn(context.sheet, context.headers, headerName);
+  context.sheet.getRange(employeeInfo.rowIndex, columnIndex + 1).setValue(value);
+  employeeInfo.row[columnIndex] = value;
+}
+
+/**
+ * Create the Sequences sheet pre-filled with the built-in steps
+ * Run once, then edit the sheet to add or change steps without code changes
+ */
+function setupSequencesSheet() {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  
+  if (spreadsheet.getSheetByName(SEQUENCE_CONFIG.SHEET_NAME)) {
+    console.log(`ℹ️ Sheet "${SEQUENCE_CONFIG.SHEET_NAME}" already exists, leaving it unchanged`);
+    return false;
+  }
+  
+  const sequenceSheet = spreadsheet.insertSheet(SEQUENCE_CONFIG.SHEET_NAME);
+  const rows = DEFAULT_SEQUENCES.map(step => [
+    step.sequence,
+    step.key,
+    step.day,
+    step.type || 'All',
+    step.department || 'All',
+    step.template,
+    step.statusColumn,
+    'Yes',
+    step.attachments || '',
+    'Yes',
+    step.catchUp || '',
+    step.track || SEQUENCE_CONFIG.TRACKS[0],
+    step.poll || '',
+    step.nudge || ''
+  ]);
+  
+  sequenceSheet.getRange(1, 1, 1, SEQUENCE_CONFIG.HEADERS.length).setValues([SEQUENCE_CONFIG.HEADERS]).setFontWeight('bold');
+  sequenceSheet.getRange(2, 1, rows.length, SEQUENCE_CONFIG.HEADERS.length).setValues(rows);
+  sequenceSheet.setFrozenRows(1);
+  
+  console.log(`✅ Created "${SEQUENCE_CONFIG.SHEET_NAME}" sheet with ${rows.length} steps`);
+  return true;
+}
+
+/**
+ * ========================================
+ * TEMPLATE ENGINE FUNCTIONS
+ * ========================================
+ * 
+ * Templates can reference any employee sheet column by its header:
+ * • {name}, {manager}, {join_date} - header "Join Date" becomes join_date
+ * • {join_date|dd MMM}              - date columns accept a date pattern
+ * • {branch|default:Head Office}    - fallback when the cell is empty
+ * • {name|upper} {name|lower} {name|title} {name|first}
+ * • {#if type == "Salon"}...{else}...{/if} - also !=, {#if manager} and {#if !manager}
+ * 
+ * An unknown placeholder or malformed tag fails the send instead of
+ * sending literal braces to the employee.
+ */
+
+/**
+ * Render a template with the given variables
+ * Throws an Error describing the first problem found in the template
+ */
+function renderTemplate(templateText, variables) {
+  const nodes = parseTemplate(templateText);
+  return renderTemplateNodes(nodes, variables);
+}
+
+/**
+ * Build template variables from an employee row, keyed by normalized header
+ */
+function buildTemplateVariables(headers, employee) {
+  const variables = {};
+  
+  headers.forEach((header, index) => {
+    const variableName = normalizeVariableName(header);
+    if (variableName && !Object.prototype.hasOwnProperty.call(variables, variableName)) {
+      variables[variableName] = employee[index];
+    }
+  });
+  
+  // Aliased columns are also available under their standard name: "Full Name" -> {name}
+  for (const headerName of Object.values(SHEET_COLUMNS)) {
+    const variableName = normalizeVariableName(headerName);
+    const columnIndex = findColumnIndex(headers, headerName);
+    if (columnIndex >= 0 && !Object.prototype.hasOwnProperty.call(variables, variableName)) {
+      variables[variableName] = employee[columnIndex];
+    }
+  }
+  
+  return variables;
+}
+
+/**
+ * Normalize a header or placeholder name: "Join Date" -> "join_date"
+ */
+function normalizeVariableName(name) {
+  return (name || '').toString().trim().toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+}
+
+/**
+ * Parse template text into a tree of text, placeholder and conditional nodes
+ * Throws an Error for unbalanced {#if}/{else}/{/if} tags
+ */
+function parseTemplate(templateText) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+  const tagPattern = /\{([^{}]*)\}/g;
+  let lastIndex = 0;
+  let match;
+  
+  while ((match = tagPattern.exec(templateText)) !== null) {
+    const current = stack[stack.length - 1];
+    const tag = match[1].trim();
+    
+    if (match.index > lastIndex) {
+      current.target.push({ type: 'text', text: templateText.slice(lastIndex, match.index) });
+    }
+    lastIndex = tagPattern.lastIndex;
+    
+    if (/^#if\b/.test(tag)) {
+      const ifNode = { type: 'if', tag: match[0], condition: parseCondition(tag.slice(3).trim()), children: [], elseChildren: null };
+      current.target.push(ifNode);
+      stack.push({ node: ifNode, target: ifNode.children });
+    } else if (tag === 'else') {
+      if (stack.length === 1 || current.node.elseChildren) {
+        throw new Error('{else} without a matching {#if}');
+      }
+      current.node.elseChildren = [];
+      current.target = current.node.elseChildren;
+    } else if (tag === '/if') {
+      if (stack.length === 1) {
+        throw new Error('{/if} without a matching {#if}');
+      }
+      stack.pop();
+    } else {
+      current.target.push(parsePlaceholder(match[0], tag));
+    }
+  }
+  
+  if (stack.length > 1) {
+    throw new Error(`${stack[stack.length - 1].node.tag} is missing its {/if}`);
+  }
+  
+  if (lastIndex < templateText.length) {
+    root.children.push({ type: 'text', text: templateText.slice(lastIndex) });
+  }
+  
+  return root.children;
+}
+
+/**
+ * Parse a placeholder tag such as "join_date|dd MMM" or "branch|default:Head Office"
+ * Problems are stored on the node so validation can report all of them
+ */
+function parsePlaceholder(rawTag, tag) {
+  const parts = tag.split('|').map(part => part.trim());
+  const node = { type: 'variable', tag: rawTag, variable: normalizeVariableName(parts[0]), filters: [], error: null };
+  
+  if (!node.variable) {
+    node.error = `Invalid placeholder ${rawTag}`;
+    return node;
+  }
+  
+  for (const filterText of parts.slice(1)) {
+    const filter = parseTemplateFilter(filterText);
+    if (!filter) {
+      node.error = `Unknown filter "${filterText}" in ${rawTag}`;
+      return node;
+    }
+    node.filters.push(filter);
+  }
+  
+  return node;
+}
+
+/**
+ * Parse a single placeholder filter, returning null if it is not recognised
+ */
+function parseTemplateFilter(filterText) {
+  const defaultMatch = filterText.match(/^default\s*:\s*(.*)$/i);
+  if (defaultMatch) {
+    return { name: 'default', argument: stripQuotes(defaultMatch[1]) };
+  }
+  
+  if (['upper', 'lower', 'title', 'first'].includes(filterText.toLowerCase())) {
+    return { name: filterText.toLowerCase() };
+  }
+  
+  // Anything else must be a date pattern for Utilities.formatDate, e.g. "dd MMM yyyy"
+  if (/^[yMdEuHhmsa\s\-\/.,:']+$/.test(filterText) && /[yMdE]/.test(filterText)) {
+    return { name: 'date', argument: filterText };
+  }
+  
+  return null;
+}
+
+/**
+ * Parse an {#if} condition: "type == \"Salon\"", "type != 'Salon'", "manager" or "!manager"
+ * Google Docs turns typed quotes into curly ones, so those are straightened first
+ */
+function parseCondition(expression) {
+  expression = straightenQuotes(expression);
+  const match = expression.match(/^(!?)\s*([A-Za-z_][\w ]*?)\s*(?:(==|!=)\s*("[^"]*"|'[^']*'|\S+))?$/);
+  
+  if (!match) {
+    return { error: `Invalid condition "{#if ${expression}}"` };
+  }
+  
+  return {
+    negate: match[1] === '!',
+    variable: normalizeVariableName(match[2]),
+    operator: match[3] || null,
+    value: match[4] !== undefined ? stripQuotes(match[4]) : null,
+    error: null
+  };
+}
+
+/**
+ * Remove matching single or double quotes (straight or curly) around a value
+ */
+function stripQuotes(value) {
+  const text = straightenQuotes(value.trim());
+  return /^(["']).*\1$/.test(text) ? text.slice(1, -1) : text;
+}
+
+/**
+ * Replace curly quotes (“ ” ‘ ’) with straight ones
+ */
+function straightenQuotes(text) {
+  return text.replace(/[\u201C\u201D\u201E\u201F]/g, '"').replace(/[\u2018\u2019\u201A\u201B]/g, "'");
+}
+
+/**
+ * Render parsed template nodes with the given variables
+ */
+function renderTemplateNodes(nodes, variables) {
+  return nodes.map(node => {
+    if (node.type === 'text') return node.text;
+    
+    if (node.type === 'if') {
+      const branch = evaluateCondition(node, variables) ? node.children : (node.elseChildren || []);
+      return renderTemplateNodes(branch, variables);
+    }
+    
+    if (node.error) throw new Error(node.error);
+    if (!Object.prototype.hasOwnProperty.call(variables, node.variable)) {
+      throw new Error(`Unknown placeholder ${node.tag}`);
+    }
+    
+    return applyTemplateFilters(variables[node.variable], node.filters);
+  }).join('');
+}
+
+/**
+ * Evaluate an {#if} node against the variables
+ */
+function evaluateCondition(ifNode, variables) {
+  const condition = ifNode.condition;
+  
+  if (condition.error) throw new Error(condition.error);
+  if (!Object.prototype.hasOwnProperty.call(variables, condition.variable)) {
+    throw new Error(`Unknown variable "${condition.variable}" in ${ifNode.tag}`);
+  }
+  
+  const actual = formatTemplateValue(variables[condition.variable]).trim().toLowerCase();
+  let result;
+  
+  if (condition.operator === '==') {
+    result = actual === condition.value.trim().toLowerCase();
+  } else if (condition.operator === '!=') {
+    result = actual !== condition.value.trim().toLowerCase();
+  } else {
+    result = actual !== '';
+  }
+  
+  return condition.negate ? !result : result;
+}
+
+/**
+ * Apply placeholder filters to a sheet value and return the text to insert
+ */
+function applyTemplateFilters(value, filters) {
+  const dateFilter = filters.find(filter => filter.name === 'date');
+  let text = formatTemplateValue(value, dateFilter ? dateFilter.argument : null);
+  
+  for (const filter of filters) {
+    if (filter.name === 'default' && text.trim() === '') text = filter.argument;
+    if (filter.name === 'upper') text = text.toUpperCase();
+    if (filter.name === 'lower') text = text.toLowerCase();
+    if (filter.name === 'title') text = text.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+    if (filter.name === 'first') text = text.trim().split(/\s+/)[0];
+  }
+  
+  return text;
+}
+
+/**
+ * Convert a sheet value to text, formatting dates in the script time zone
+ */
+function formatTemplateValue(value, datePattern) {
+  if (value === null || value === undefined || value === '') return '';
+  
+  let dateValue = value instanceof Date ? value : null;
+  if (!dateValue && datePattern && !isNaN(new Date(value).getTime())) {
+    dateValue = new Date(value);
+  }
+  
+  if (dateValue) {
+    return Utilities.formatDate(dateValue, SCHEDULE_CONFIG.TIMEZONE, datePattern || 'dd MMM yyyy');
+  }
+  
+  return value.toString();
+}
+
+/**
+ * List every problem in a template: syntax errors, unknown placeholders and filters
+ */
+function findTemplateProblems(templateText, knownVariables) {
+  let nodes;
+  
+  try {
+    nodes = parseTemplate(templateText);
+  } catch (error) {
+    return [error.message];
+  }
+  
+  const problems = [];
+  const visit = list => list.forEach(node => {
+    if (node.type === 'variable') {
+      if (node.error) problems.push(node.error);
+      else if (!knownVariables.includes(node.variable)) problems.push(`Unknown placeholder ${node.tag}`);
+    } else if (node.type === 'if') {
+      if (node.condition.error) problems.push(node.condition.error);
+      else if (!knownVariables.includes(node.condition.variable)) problems.push(`Unknown variable "${node.condition.variable}" in ${node.tag}`);
+      else if (node.condition.value !== null && /^["'\u2018-\u201F]|["'\u2018-\u201F]$/.test(node.condition.value)) {
+        // A quote left over after parsing means the quotes around the value don't match
+        problems.push(`Mismatched quotes in ${node.tag} - use "value" or 'value'`);
+      }
+      visit(node.children);
+      visit(node.elseChildren || []);
+    }
+  });
+  
+  visit(nodes);
+  return problems;
+}
+
+/**
+ * Check every template used by the sequences against the employee sheet headers
+ * Run this after editing a template doc or renaming a sheet column
+ */
+function validateTemplates(steps, headers) {
+  console.log('🔍 Validating message templates against sheet headers...');
+  
+  if (!steps) {
+    steps = loadSequenceSteps();
+  }
+  if (!headers) {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+    headers = sheet.getRange(1, 1, 1, Math.max(sheet.getLastColumn(), 1)).getValues()[0];
+  }
+  
+  const knownVariables = Object.keys(buildTemplateVariables(headers, []));
+  const checkedTemplates = {};
+  const problems = [];
+  
+  for (const step of steps) {
+    for (const [language, docId] of Object.entries(getTemplateVariants(step.template))) {
+      if (checkedTemplates[docId]) continue;
+      checkedTemplates[docId] = true;
+      
+      const label = typeof MESSAGE_TEMPLATES[step.template] === 'object' ? `${step.template} [${language}]` : step.template;
+      
+      // Unset translations fall back to another language (see resolveTemplateDocId)
+      if (isPlaceholder(docId) && !isPlaceholder(resolveTemplateDocId(step.template, []))) {
+        console.warn(`⚠️ ${label} doc ID not set - ${language} speakers get the ${LANGUAGE_CONFIG.DEFAULT_LANGUAGE} version`);
+        continue;
+      }
+      
+      const templateText = getMessageTemplate(docId);
+      if (templateText === null) {
+        problems.push(`${label} (step ${step.key}): template could not be loaded`);
+        continue;
+      }
+      
+      findTemplateProblems(templateText, knownVariables)
+        .forEach(problem => problems.push(`${label} (step ${step.key}): ${problem}`));
+    }
+  }
+  
+  for (const step of steps) {
+    findAttachmentProblems(step, knownVariables)
+      .forEach(problem => problems.push(`Step ${step.key}: ${problem}`));
+    
+    if (step.nudge) {
+      findTemplateProblems(step.nudge, knownVariables.concat(NUDGE_CONFIG.VARIABLES))
+        .forEach(problem => problems.push(`Step ${step.key} nudge: ${problem}`));
+    }
+  }
+  
+  // Anniversary / birthday templates, for the enabled events whose date column is in the sheet
+  for (const event of Object.values(ANNUAL_EVENTS_CONFIG.EVENTS)) {
+    if (!event.enabled || findColumnIndex(headers, SHEET_COLUMNS[event.dateColumn]) < 0) continue;
+    if (!isAnnualEventReady(event)) {
+      console.warn(`⚠️ ${event.label} messages are enabled but the ${event.template} doc ID is not set - not sent until it is`);
+      continue;
+    }
+    
+    const eventVariables = knownVariables.concat(ANNUAL_EVENTS_CONFIG.VARIABLES);
+    for (const [language, docId] of Object.entries(getTemplateVariants(event.template))) {
+      const label = `${event.label} template ${event.template}${typeof MESSAGE_TEMPLATES[event.template] === 'object' ? ` [${language}]` : ''}`;
+      const templateText = getMessageTemplate(docId);
+      if (templateText === null) {
+        problems.push(`${label}: template could not be loaded`);
+        continue;
+      }
+      findTemplateProblems(templateText, eventVariables).forEach(problem => problems.push(`${label}: ${problem}`));
+    }
+    if (event.announce) {
+      findTemplateProblems(event.announcement, eventVariables)
+        .forEach(problem => problems.push(`${event.label} announcement: ${problem}`));
+    }
+  }
+  
+  if (problems.length > 0) {
+    console.error(`❌ Found ${problems.length} template problem(s):`);
+    problems.forEach(problem => console.error(`   • ${problem}`));
+  } else {
+    console.log(`✅ All ${Object.keys(checkedTemplates).length} templates are valid`);
+  }
+  
+  return { valid: problems.length === 0, problems: problems };
+}
+
+/**
+ * ========================================
+ * ANNUAL EVENT FUNCTIONS
+ * ========================================
+ * 
+ * Work anniversaries (from the Join Date) and birthdays (from the Date of
+ * Birth column) are opt-in (enabled in ANNUAL_EVENTS_CONFIG.EVENTS) and are
+ * sent every year on the day, in the send window. An
+ * event on a weekend or holiday goes out on the next sending day, up to
+ * ANNUAL_EVENTS_CONFIG.MAX_LATE_DAYS late. The year sent is written to the
+ * event's "Sent Year" column, so a year is never sent twice. Each send also
+ * goes through the Deliveries ledger (key phone:event:year) like a milestone:
+ * an interrupted send is marked "Needs Review" instead of being sent again, and
+ * a send that fails on its last due day is marked "Failed". Events have no
+ * status cell - HR clears the ledger State to release them.
+ */
+
+/**
+ * Send the employee's anniversary / birthday messages that are due
+ */
+function processAnnualEvents(employeeInfo, context) {
+  const now = new Date();
+  
+  for (const [eventKey, event] of Object.entries(ANNUAL_EVENTS_CONFIG.EVENTS)) {
+    if (!isAnnualEventReady(event)) continue;
+    
+    const eventDate = getEmployeeCell(employeeInfo.row, context.headers, event.dateColumn);
+    if (!eventDate || isNaN(new Date(eventDate).getTime())) continue;
+    
+    const occurrence = findDueOccurrence(eventDate, now);
+    if (!occurrence) continue;
+    
+    // Anniversaries start at one year; a birthday in the join year is fine
+    const years = occurrence.year - Number(Utilities.formatDate(new Date(eventDate), SCHEDULE_CONFIG.TIMEZONE, 'yyyy'));
+    if (years < event.minYears) continue;
+    
+    const sentYear = Number(getEmployeeCell(employeeInfo.row, context.headers, event.sentYearColumn)) || 0;
+    if (sentYear >= occurrence.year) continue;
+    
+    const result = sendAnnualEvent(employeeInfo, context, eventKey, event, occurrence, years);
+    if (result.sent && !context.dryRun) {
+      context.digest.sent.push(`${employeeInfo.name} - ${event.label}${result.channel !== 'whatsapp' ? ` (${result.channel})` : ''}`);
+    } else if (result.error) {
+      context.digest.errors.push(`${employeeInfo.name} - ${event.label}: ${result.error}`);
+    }
+  }
+}
+
+/**
+ * Check an event is enabled and its template doc ID has been filled in
+ */
+function isAnnualEventReady(event) {
+  return !!event.enabled && !isPlaceholder(resolveTemplateDocId(event.template, []));
+}
+
+/**
+ * Find this year's or last year's occurrence of a date that is due now
+ * Returns { year, dateKey, daysLate } or null
+ */
+function findDueOccurrence(date, now) {
+  const currentYear = Number(Utilities.formatDate(now, SCHEDULE_CONFIG.TIMEZONE, 'yyyy'));
+  
+  for (const year of [currentYear, currentYear - 1]) {
+    const dateKey = getAnnualDateKey(date, year);
+    const daysLate = calendarDaysBetween(zonedDate(dateKey, '12:00'), now);
+    if (daysLate >= 0 && daysLate <= ANNUAL_EVENTS_CONFIG.MAX_LATE_DAYS) {
+      return { year: year, dateKey: dateKey, daysLate: daysLate };
+    }
+  }
+  
+  return null;
+}
+
+/**
+ * The date key of a yearly date in the given year
+ * 29 February falls on ANNUAL_EVENTS_CONFIG.FEB_29_IN_COMMON_YEARS outside leap years
+ */
+function getAnnualDateKey(date, year) {
+  const monthDay = Utilities.formatDate(new Date(date), SCHEDULE_CONFIG.TIMEZONE, 'MM-dd');
+  const isLeapYear = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  
+  if (monthDay === '02-29' && !isLeapYear) {
+    return `${year}-${ANNUAL_EVENTS_CONFIG.FEB_29_IN_COMMON_YEARS}`;
+  }
+  return `${year}-${monthDay}`;
+}
+
+/**
+ * Render and send one annual event, record the year sent and announce it to the branch group
+ * Returns { sent, channel, error }
+ */
+function sendAnnualEvent(employeeInfo, context, eventKey, event, occurrence, years) {
+  const milestone = `${eventKey}:${occurrence.year}`;
+  const step = { key: milestone, template: event.template, sendText: true, statusColumn: '', statusColumnIndex: -1 };
+  
+  // The ledger may hold this year's event if a run stopped before the Sent Year was written
+  const delivery = findDeliveryRecord(getDeliveryKey(employeeInfo.phone, milestone), context.deliveries);
+  const state = delivery ? delivery.record.state : '';
+  if (state === DELIVERY_CONFIG.SENT_LABEL) {
+    console.log(`♻️ ${event.label} ${occurrence.year} for ${employeeInfo.name} is already in the delivery ledger, not resending`);
+    if (!context.dryRun) writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS[event.sentYearColumn], occurrence.year);
+    return { sent: false };
+  }
+  if (state === LOCK_CONFIG.SENDING_LABEL || state === LOCK_CONFIG.NEEDS_REVIEW_LABEL) {
+    if (state === LOCK_CONFIG.SENDING_LABEL && !context.dryRun) {
+      markNeedsReview(employeeInfo, step, delivery.record, context.deliveries);
+    }
+    console.log(`⏳ ${event.label} ${occurrence.year} for ${employeeInfo.name} may already have been sent - waiting for HR`);
+    return { sent: false };
+  }
+  
+  const templateDocId = resolveTemplateDocId(event.template, employeeInfo.languages);
+  const variables = Object.assign({}, employeeInfo.variables, {
+    event: event.label,
+    years: years,
+    days_late: occurrence.daysLate,
+    belated: occurrence.daysLate > 0 ? 'yes' : ''
+  });
+  
+  const template = loadMessageTemplate(templateDocId);
+  if (!template || !template.text) {
+    console.error(`❌ Failed to load ${event.label} template: ${event.template}`);
+    return { sent: false, error: 'Template load failed' };
+  }
+  
+  let messageText;
+  let announcement = '';
+  try {
+    messageText = renderTemplate(template.text, variables);
+    const groupId = event.announce ? getCelebrationGroup(employeeInfo) : '';
+    if (groupId) announcement = renderTemplate(event.announcement, variables);
+  } catch (error) {
+    console.error(`❌ ${event.label} template could not be rendered for ${employeeInfo.name}: ${error.message}`);
+    return { sent: false, error: `Template error: ${error.message}` };
+  }
+  
+  const phoneCheck = verifyEmployeePhone(employeeInfo, context);
+  if (!phoneCheck.ok && getAvailableFallbacks(employeeInfo).length === 0) {
+    return { sent: false, error: phoneCheck.reason };
+  }
+  
+  if (context.dryRun) {
+    addPreviewRow(context, employeeInfo, {
+      step: step,
+      templateDocId: templateDocId,
+      messageText: messageText,
+      reason: `Would send ${event.label}${occurrence.daysLate ? ` (from ${occurrence.dateKey})` : ''}${announcement ? ` and announce in ${getCelebrationGroup(employeeInfo)}` : ''}`
+    });
+    return { sent: true, channel: 'whatsapp' };
+  }
+  
+  // Record the send in the ledger first, so an interrupted run can't send it twice
+  if (!beginMilestoneSend(employeeInfo, step, context.deliveries)) {
+    return { sent: false, error: 'Could not record send in the delivery ledger' };
+  }
+  const attempts = (delivery ? Number(delivery.record.attempts) || 0 : 0) + 1;
+  
+  const sendResult = sendThroughTransports(employeeInfo, step, messageText, [], {
+    whatsappUnavailable: phoneCheck.ok ? '' : phoneCheck.reason,
+    finalAttempt: true
+  });
+  sendResult.attempts.forEach(channelAttempt => recordAuditEntry({
+    employeeInfo: employeeInfo,
+    milestone: milestone,
+    templateDocId: templateDocId,
+    templateRevision: template.revision,
+    text: messageText,
+    sendResult: channelAttempt.result,
+    channel: channelAttempt.channel
+  }));
+  
+  if (!sendResult.success) {
+    // Tried again on the next run while the event is within MAX_LATE_DAYS, then left Failed for HR
+    const lastChance = sendResult.permanent || occurrence.daysLate >= ANNUAL_EVENTS_CONFIG.MAX_LATE_DAYS;
+    console.error(`❌ ${event.label} message for ${employeeInfo.name} failed: ${sendResult.error}`);
+    saveDeliveryRecord(getDeliveryKey(employeeInfo.phone, milestone), {
+      state: lastChance ? RETRY_CONFIG.FAILED_LABEL : RETRY_CONFIG.RETRYING_LABEL,
+      attempts: attempts,
+      lastError: sendResult.error || 'Unknown error',
+      lastAttemptAt: new Date()
+    }, context.deliveries);
+    return { sent: false, error: sendResult.error };
+  }
+  
+  recordDelivery(employeeInfo, step, attempts, {
+    messageId: sendResult.messageId,
+    templateDocId: templateDocId,
+    templateRevision: template.revision,
+    channel: sendResult.channel
+  }, context.deliveries);
+  writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS[event.sentYearColumn], occurrence.year);
+  SpreadsheetApp.flush();
+  console.log(`🎉 ${event.label} message sent to ${employeeInfo.name}`);
+  
+  if (announcement) {
+    const groupId = getCelebrationGroup(employeeInfo);
+    const groupResult = sendToWAHA('/api/sendText', { chatId: groupId, text: announcement });
+    recordAuditEntry({
+      employeeInfo: { name: `${employeeInfo.name} (group)`, phone: groupId },
+      milestone: `${milestone}:announcement`,
+      text: announcement,
+      sendResult: groupResult
+    });
+    if (!groupResult.success) {
+      console.error(`❌ ${event.label} announcement for ${employeeInfo.name} failed: ${groupResult.error}`);
+    }
+  }
+  
+  return { sent: true, channel: sendResult.channel };
+}
+
+/**
+ * The celebration WhatsApp group for the employee's branch ('*' for any other branch)
+ */
+function getCelebrationGroup(employeeInfo) {
+  const groups = ANNUAL_EVENTS_CONFIG.BRANCH_GROUPS;
+  const branch = (employeeInfo.branch || '').toString().trim().toLowerCase();
+  const match = Object.keys(groups).find(name => name !== '*' && name.toLowerCase() === branch);
+  return match ? groups[match] : (groups['*'] || '');
+}
+
+/**
+ * Add the anniversaries and birthdays in the next DIGEST_CONFIG.UPCOMING_DAYS to the digest
+ */
+function collectUpcomingAnnualEvents(employeeInfo, context) {
+  const today = new Date();
+  const currentYear = Number(Utilities.formatDate(today, SCHEDULE_CONFIG.TIMEZONE, 'yyyy'));
+  
+  for (const event of Object.values(ANNUAL_EVENTS_CONFIG.EVENTS)) {
+    if (!isAnnualEventReady(event)) continue;
+    
+    const eventDate = getEmployeeCell(employeeInfo.row, context.headers, event.dateColumn);
+    if (!eventDate || isNaN(new Date(eventDate).getTime())) continue;
+    
+    const startYear = Number(Utilities.formatDate(new Date(eventDate), SCHEDULE_CONFIG.TIMEZONE, 'yyyy'));
+    for (const year of [currentYear, currentYear + 1]) {
+      const daysUntil = -calendarDaysBetween(zonedDate(getAnnualDateKey(eventDate, year), '12:00'), today);
+      if (daysUntil >= 1 && daysUntil <= DIGEST_CONFIG.UPCOMING_DAYS && year - startYear >= event.minYears) {
+        context.digest.upcoming.push({
+          dueAt: new Date(today.getTime() + daysUntil * 24 * 60 * 60 * 1000),
+          text: `${employeeInfo.name} - ${event.label}`
+        });
+      }
+    }
+  }
+}
+
+/**
+ * ========================================
+ * COHORT GROUP FUNCTIONS
+ * ========================================
+ * 
+ * New hires join a WhatsApp group for their cohort (join month + employee
+ * type) once their COHORT_CONFIG.AFTER_STEP message was delivered by WhatsApp.
+ * Groups are created through WAHA on first use, or reused by name, and kept
+ * in the Cohort Groups sheet. The "Cohort Group" column shows membership;
+ * people are removed when their status becomes one of REMOVE_STATUSES.
+ */
+
+/**
+ * Add the employee to their cohort group, or remove them when they become Inactive
+ */
+function syncCohortMembership(employeeInfo, context) {
+  if (!COHORT_CONFIG.ENABLED) return;
+  
+  const membership = getEmployeeCell(employeeInfo.row, context.headers, 'COHORT_GROUP').toString().trim();
+  const isMember = membership !== '' && membership.indexOf(COHORT_CONFIG.REMOVED_PREFIX) !== 0 &&
+    membership.indexOf(COHORT_CONFIG.ADD_FAILED_PREFIX) !== 0;
+  
+  try {
+    if (COHORT_CONFIG.REMOVE_STATUSES.some(status => isStatus(employeeInfo.status, status))) {
+      if (isMember) removeFromCohortGroup(employeeInfo, context, membership);
+      return;
+    }
+    
+    // Never re-added automatically after a removal or a refused add
+    if (membership || employeeInfo.track !== 'onboarding') return;
+    if (calendarDaysBetween(employeeInfo.joinDate, new Date()) > COHORT_CONFIG.JOIN_WITHIN_DAYS) return;
+    
+    // Only people reached on WhatsApp, once the trigger step has been sent
+    const delivery = findDeliveryRecord(getDeliveryKey(employeeInfo.phone, COHORT_CONFIG.AFTER_STEP), context.deliveries);
+    if (!delivery || delivery.record.state !== DELIVERY_CONFIG.SENT_LABEL || (delivery.record.channel && delivery.record.channel !== 'whatsapp')) return;
+    
+    addToCohortGroup(employeeInfo, context);
+    
+  } catch (error) {
+    console.error(`❌ Cohort group update failed for ${employeeInfo.name}:`, error.toString());
+    context.digest.errors.push(`${employeeInfo.name} - cohort group: ${error.message}`);
+  }
+}
+
+/**
+ * Cohort of an employee: { key: '2026-10 Salon', name: rendered GROUP_NAME }
+ */
+function getEmployeeCohort(employeeInfo) {
+  const month = Utilities.formatDate(employeeInfo.joinDate, SCHEDULE_CONFIG.TIMEZONE, 'yyyy-MM');
+  const variables = Object.assign({}, employeeInfo.variables, {
+    type: employeeInfo.type,
+    month: Utilities.formatDate(employeeInfo.joinDate, SCHEDULE_CONFIG.TIMEZONE, 'MMMM yyyy')
+  });
+  
+  return { key: `${month} ${employeeInfo.type}`, name: renderTemplate(COHORT_CONFIG.GROUP_NAME, variables) };
+}
+
+/**
+ * Add an employee to their cohort group (creating the group if needed) and post the welcome
+ */
+function addToCohortGroup(employeeInfo, context) {
+  const cohort = getEmployeeCohort(employeeInfo);
+  const participant = `${employeeInfo.phone}@c.us`;
+  
+  if (context.dryRun) {
+    addPreviewRow(context, employeeInfo, { reason: `Would add to cohort group "${cohort.name}"` });
+    return;
+  }
+  
+  let group = findCohortGroup(cohort);
+  if (group) {
+    const added = callWAHAGroupsApi('post', `/${encodeURIComponent(group.id)}/participants/add`, { participants: [{ id: participant }] });
+    if (!added.success) {
+      // Refused outright (privacy settings, group gone) - recorded so it isn't retried every run
+      if (added.responseCode >= 400 && added.responseCode < 500) {
+        writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.COHORT_GROUP, `${COHORT_CONFIG.ADD_FAILED_PREFIX} ${group.name}`);
+        context.digest.needsAction.push(`${employeeInfo.name} - could not be added to cohort group "${group.name}": ${added.error}`);
+        console.error(`❌ ${employeeInfo.name} could not be added to "${group.name}": ${added.error}`);
+        return;
+      }
+      throw new Error(`Could not add to "${group.name}": ${added.error}`);
+    }
+  } else {
+    group = createCohortGroup(cohort, participant);
+  }
+  
+  writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.COHORT_GROUP, group.name);
+  console.log(`👥 ${employeeInfo.name} added to cohort group "${group.name}"`);
+  
+  const welcome = renderTemplate(COHORT_CONFIG.WELCOME_MESSAGE, Object.assign({}, employeeInfo.variables, { group: group.name }));
+  const welcomeResult = sendToWAHA('/api/sendText', { chatId: group.id, text: welcome });
+  recordAuditEntry({
+    employeeInfo: { name: `${employeeInfo.name} (group)`, phone: group.id },
+    milestone: 'cohort:welcome',
+    text: welcome,
+    sendResult: welcomeResult
+  });
+  if (!welcomeResult.success) {
+    console.error(`❌ Welcome post to "${group.name}" failed: ${welcomeResult.error}`);
+  }
+}
+
+/**
+ * Remove an employee from the cohort group named in their Cohort Group cell
+ */
+function removeFromCohortGroup(employeeInfo, context, groupName) {
+  const record = getCohortGroupRecords().find(candidate => candidate.name === groupName);
+  if (!record) {
+    throw new Error(`Group "${groupName}" is not in the ${COHORT_CONFIG.SHEET_NAME} sheet`);
+  }
+  
+  if (context.dryRun) {
+    addPreviewRow(context, employeeInfo, { reason: `Would remove from cohort group "${groupName}"` });
+    return;
+  }
+  
+  const removed = callWAHAGroupsApi('post', `/${encodeURIComponent(record.id)}/participants/remove`, { participants: [{ id: `${employeeInfo.phone}@c.us` }] });
+  if (!removed.success) throw new Error(`Could not remove from "${groupName}": ${removed.error}`);
+  
+  writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.COHORT_GROUP, `${COHORT_CONFIG.REMOVED_PREFIX} ${groupName}`);
+  console.log(`👋 ${employeeInfo.name} removed from cohort group "${groupName}" (status ${employeeInfo.status})`);
+}
+
+/**
+ * Find the group of a cohort in the Cohort Groups sheet, or an existing WhatsApp group with its name
+ * Returns { cohort, name, id } or null
+ */
+function findCohortGroup(cohort) {
+  const known = getCohortGroupRecords().find(record => record.cohort === cohort.key);
+  if (known) return known;
+  
+  // Reuse a group HR already created by hand
+  const groups = callWAHAGroupsApi('get', '', null);
+  if (!groups.success) throw new Error(`Could not list WhatsApp groups: ${groups.error}`);
+  
+  const list = Array.isArray(groups.data) ? groups.data : Object.values(groups.data || {});
+  const existing = list.find(group => (group.subject || group.name || (group.groupMetadata && group.groupMetadata.subject)) === cohort.name);
+  if (!existing) return null;
+  
+  const record = { cohort: cohort.key, name: cohort.name, id: extractGroupId(existing) };
+  saveCohortGroupRecord(record);
+  console.log(`♻️ Reusing existing WhatsApp group "${cohort.name}"`);
+  return record;
+}
+
+/**
+ * Create the WhatsApp group of a cohort with its first member (and the HR admins)
+ */
+function createCohortGroup(cohort, participant) {
+  const participants = [participant].concat(COHORT_CONFIG.HR_MEMBERS.map(phone => {
+    const normalized = normalizePhoneNumber(phone);
+    return normalized.valid ? `${normalized.phone}@c.us` : null;
+  }).filter(id => id && id !== participant));
+  
+  const created = callWAHAGroupsApi('post', '', {
+    name: cohort.name,
+    participants: participants.map(id => ({ id: id }))
+  });
+  if (!created.success) throw new Error(`Could not create group "${cohort.name}": ${created.error}`);
+  
+  const record = { cohort: cohort.key, name: cohort.name, id: extractGroupId(created.data) };
+  if (!record.id) throw new Error(`WAHA did not return an ID for group "${cohort.name}"`);
+  
+  saveCohortGroupRecord(record);
+  console.log(`🆕 Created WhatsApp group "${cohort.name}" (${record.id})`);
+  return record;
+}
+
+/**
+ * Get the group ID from a WAHA group object - engines differ in the shape
+ */
+function extractGroupId(group) {
+  if (!group) return '';
+  const id = group.id || group.gid || group.JID;
+  if (typeof id === 'string') return id;
+  return id && id._serialized ? id._serialized : '';
+}
+
+/**
+ * Call the WAHA groups API of the active session: /api/{session}/groups{path}
+ * Returns { success, data, responseCode, error }
+ */
+function callWAHAGroupsApi(method, path, payload) {
+  const sessionHealth = getSessionHealth();
+  if (!sessionHealth.success) {
+    return { success: false, error: sessionHealth.error };
+  }
+  
+  try {
+    const options = {
+      method: method,
+      headers: { 'X-Api-Key': WAHA_CONFIG.API_KEY },
+      muteHttpExceptions: true
+    };
+    if (payload) {
+      options.contentType = 'application/json';
+      options.payload = JSON.stringify(payload);
+    }
+    
+    const response = UrlFetchApp.fetch(`${WAHA_CONFIG.BASE_URL}/api/${encodeURIComponent(sessionHealth.session)}/groups${path}`, options);
+    const responseCode = response.getResponseCode();
+    const responseBody = response.getContentText();
+    
+    if (responseCode < 200 || responseCode >= 300) {
+      return { success: false, responseCode: responseCode, error: `WAHA groups API error ${responseCode}: ${responseBody.substring(0, 200)}` };
+    }
+    
+    return { success: true, data: responseBody ? JSON.parse(responseBody) : null };
+    
+  } catch (error) {
+    return { success: false, error: error.toString() };
+  }
+}
+
+/**
+ * Read the Cohort Groups sheet as [{ cohort, name, id }]
+ */
+function getCohortGroupRecords() {
+  const cohortSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(COHORT_CONFIG.SHEET_NAME);
+  if (!cohortSheet) return [];
+  
+  return cohortSheet.getDataRange().getValues().slice(1)
+    .filter(row => row[0] && row[2])
+    .map(row => ({ cohort: row[0].toString(), name: row[1].toString(), id: row[2].toString() }));
+}
+
+/**
+ * Add a cohort group to the Cohort Groups sheet
+ */
+function saveCohortGroupRecord(record) {
+  getOrCreateSheet(COHORT_CONFIG.SHEET_NAME, COHORT_GROUP_HEADERS)
+    .appendRow([record.cohort, record.name, record.id, new Date()]);
+}
+
+/**
+ * ========================================
+ * HR DIGEST & NUDGE FUNCTIONS
+ * ========================================
+ * 
+ * After each live run HR gets a digest (DIGEST_CONFIG) of the messages sent,
+ * the milestones that need action and those due soon. Steps with a Nudge
+ * template also message the employee's manager and buddy ahead of the
+ * milestone; sent nudges are tracked in the "Nudges Sent" column.
+ */
+
+/**
+ * Send the step nudges due for an employee to their manager and buddy
+ * A nudge goes out from NUDGE_CONFIG.LEAD_DAYS before the milestone until its day
+ */
+function sendMilestoneNudges(employeeInfo, daysSinceJoin, context) {
+  for (const step of getStepsForEmployee(context.steps, employeeInfo)) {
+    const daysUntil = step.day - daysSinceJoin;
+    if (!step.nudge || daysUntil < 0 || daysUntil > NUDGE_CONFIG.LEAD_DAYS) continue;
+    if (employeeInfo.sentMessages.includes(step.key) && daysUntil > 0) continue;  // Skipped or sent early by HR
+    
+    for (const [role, columnKey] of Object.entries(NUDGE_CONFIG.RECIPIENTS)) {
+      const nudgeKey = `${step.key}:${role}`;
+      const rawPhone = getEmployeeCell(employeeInfo.row, context.headers, columnKey);
+      if (!rawPhone || employeeInfo.nudgesSent.includes(nudgeKey)) continue;
+      
+      const phone = normalizePhoneNumber(rawPhone);
+      if (!phone.valid) {
+        // A sheet fix for HR, not a run error - it would otherwise make every run "not quiet"
+        console.warn(`⚠️ ${role} of ${employeeInfo.name} has an invalid number: ${phone.error}`);
+        context.digest.needsAction.push(`${employeeInfo.name} - ${step.key} ${role} nudge: ${phone.error}`);
+        continue;
+      }
+      
+      let nudgeText;
+      try {
+        nudgeText = renderTemplate(step.nudge, Object.assign({}, employeeInfo.variables, {
+          milestone: step.key,
+          day: step.day,
+          when: daysUntil === 0 ? 'today' : daysUntil === 1 ? 'tomorrow' : `in ${daysUntil} days`,
+          role: role
+        }));
+      } catch (error) {
+        console.error(`❌ Nudge for ${step.key} could not be rendered: ${error.message}`);
+        context.digest.needsAction.push(`${employeeInfo.name} - ${step.key} ${role} nudge could not be rendered: ${error.message}`);
+        continue;
+      }
+      
+      if (context.dryRun) {
+        addPreviewRow(context, employeeInfo, { step: step, messageText: nudgeText, reason: `Would nudge ${role} (+${phone.phone})` });
+        continue;
+      }
+      
+      const sendResult = sendWhatsAppMessage(phone.phone, nudgeText);
+      recordAuditEntry({
+        employeeInfo: { name: `${employeeInfo.name} (${role})`, phone: phone.phone },
+        milestone: `nudge:${step.key}`,
+        text: nudgeText,
+        sendResult: sendResult
+      });
+      
+      if (sendResult.success) {
+        employeeInfo.nudgesSent.push(nudgeKey);
+        writeEmployeeCell(context, employeeInfo, SHEET_COLUMNS.NUDGES_SENT, employeeInfo.nudgesSent.join(', '));
+        context.digest.nudges.push(`${role} of ${employeeInfo.name} - ${step.key}`);
+        console.log(`🔔 ${step.key} nudge sent to the ${role} of ${employeeInfo.name}`);
+      } else {
+        // Not tracked, so the next run tries again while the nudge is still due
+        context.digest.errors.push(`${employeeInfo.name} - ${step.key} ${role} nudge: ${sendResult.error}`);
+      }
+    }
+  }
+}
+
+/**
+ * Add the employee's milestones due in the next DIGEST_CONFIG.UPCOMING_DAYS to the digest
+ */
+function collectUpcomingMilestones(employeeInfo, daysSinceJoin, context) {
+  getStepsForEmployee(context.steps, employeeInfo)
+    .filter(step => !employeeInfo.sentMessages.includes(step.key))
+    .filter(step => step.day > daysSinceJoin && step.day - daysSinceJoin <= DIGEST_CONFIG.UPCOMING_DAYS)
+    .forEach(step => context.digest.upcoming.push({
+      dueAt: new Date(Date.now() + (step.day - daysSinceJoin) * 24 * 60 * 60 * 1000),
+      text: `${employeeInfo.name} - ${step.key}`
+    }));
+}
+
+/**
+ * Milestones in the Deliveries ledger that HR has to look at
+ */
+function findMilestonesNeedingAction() {
+  return getDeliveryRecords()
+    .map(entry => entry.record)
+    .filter(record => record.state === RETRY_CONFIG.FAILED_LABEL ||
+      record.state === LOCK_CONFIG.NEEDS_REVIEW_LABEL ||
+      (record.flagged && (ACK_LEVELS[record.ack] || 0) < ACK_LEVELS.DEVICE))
+    .map(record => {
+      const state = record.state === RETRY_CONFIG.FAILED_LABEL || record.state === LOCK_CONFIG.NEEDS_REVIEW_LABEL
+        ? record.state
+        : DELIVERY_CONFIG.UNDELIVERED_LABEL;
+      return `${record.name} - ${record.milestone}: ${state}${record.lastError && state === RETRY_CONFIG.FAILED_LABEL ? ` (${record.lastError})` : ''}`;
+    });
+}
+
+/**
+ * Build the digest text - plain lines that read well by email and on WhatsApp
+ */
+function buildDigestText(digest, needsAction) {
+  const section = (title, lines) => lines.length > 0
+    ? [`${title} (${lines.length})`].concat(lines.map(line => `• ${line}`)).join('\n')
+    : '';
+  const upcoming = digest.upcoming
+    .slice()
+    .sort((a, b) => a.dueAt - b.dueAt)
+    .map(item => `${Utilities.formatDate(item.dueAt, SCHEDULE_CONFIG.TIMEZONE, 'EEE d MMM')}: ${item.text}`);
+  
+  return [
+    `HR onboarding digest - ${formatScheduleDate(new Date())}`,
+    section('✅ Sent', digest.sent) || '✅ Nothing sent this run',
+    section('🔔 Manager/buddy nudges', digest.nudges),
+    section('⚠️ Needs action', needsAction),
+    section('🔁 Errors this run (retried automatically)', digest.errors),
+    section(`📅 Due in the next ${DIGEST_CONFIG.UPCOMING_DAYS} days`, upcoming)
+  ].filter(part => part).join('\n\n');
+}
+
+/**
+ * Send the run digest to the HR email and/or WhatsApp group in DIGEST_CONFIG
+ * Returns { sent, text }
+ */
+function sendHRDigest(digest) {
+  if (!DIGEST_CONFIG.HR_EMAIL && !DIGEST_CONFIG.WHATSAPP_GROUP_ID) {
+    return { sent: false, text: '' };
+  }
+  
+  try {
+    // Quiet runs (nothing sent or failed) only repeat the outstanding items once a day
+    // Sheet problems found this run (digest.needsAction) repeat every run, so they don't count
+    const properties = PropertiesService.getScriptProperties();
+    const today = getDateKey(new Date());
+    const quietRun = digest.sent.length + digest.nudges.length + digest.errors.length === 0;
+    if (quietRun && properties.getProperty(DIGEST_CONFIG.LAST_SENT_PROPERTY) === today) {
+      console.log('📭 Nothing new since today\'s HR digest - skipped');
+      return { sent: false, text: '' };
+    }
+    
+    const needsAction = digest.needsAction.concat(findMilestonesNeedingAction());
+    if (quietRun && needsAction.length === 0 && digest.upcoming.length === 0) {
+      console.log('📭 Nothing to report - HR digest skipped');
+      return { sent: false, text: '' };
+    }
+    
+    const text = buildDigestText(digest, needsAction);
+    let sent = false;
+    
+    if (DIGEST_CONFIG.HR_EMAIL) {
+      MailApp.sendEmail(DIGEST_CONFIG.HR_EMAIL,
+        `HR onboarding digest: ${digest.sent.length} sent, ${needsAction.length} need action`, text);
+      console.log(`📧 HR digest emailed to ${DIGEST_CONFIG.HR_EMAIL}`);
+      sent = true;
+    }
+    
+    if (DIGEST_CONFIG.WHATSAPP_GROUP_ID) {
+      const groupResult = sendToWAHA('/api/sendText', { chatId: DIGEST_CONFIG.WHATSAPP_GROUP_ID, text: text });
+      if (groupResult.success) {
+        console.log('💬 HR digest posted to the WhatsApp group');
+        sent = true;
+      } else {
+        console.error('❌ HR digest could not be posted to the WhatsApp group:', groupResult.error);
+      }
+    }
+    
+    if (sent) properties.setProperty(DIGEST_CONFIG.LAST_SENT_PROPERTY, today);
+    return { sent: sent, text: text };
+    
+  } catch (error) {
+    console.error('❌ Error sending HR digest:', error.toString());
+    return { sent: false, text: '' };
+  }
+}
+
+/**
+ * ========================================
+ * SETTINGS & PREFLIGHT FUNCTIONS
+ * ========================================
+ * 
+ * Keys and server details live in Script Properties (SCRIPT_SETTINGS), not
+ * in this file, so editors and copies of the script never see them. Store
+ * them with HR Onboarding → Setup, or under Project Settings → Script
+ * Properties. runPreflightChecks() confirms the whole setup before going live.
+ */
+
+/**
+ * Read a setting from Script Properties (loaded once per run)
+ */
+function getScriptSetting(key) {
+  if (!scriptSettings) {
+    scriptSettings = PropertiesService.getScriptProperties().getProperties();
+  }
+  return (scriptSettings[key] || '').toString().trim();
+}
+
+/**
+ * Open the setup dialog
+ */
+function showSetupDialog() {
+  const html = HtmlService.createHtmlOutput(getSetupHtml()).setWidth(480).setHeight(560);
+  SpreadsheetApp.getUi().showModalDialog(html, 'HR Onboarding Setup');
+}
+
+/**
+ * Setup dialog: the settings and whether each one is stored
+ * Secret values are never sent to the browser - long keys show their last 4 characters
+ */
+function getSetupState() {
+  return Object.keys(SCRIPT_SETTINGS).map(key => {
+    const setting = SCRIPT_SETTINGS[key];
+    const value = getScriptSetting(key);
+    return {
+      key: key,
+      label: setting.label,
+      example: setting.example || '',
+      secret: !!setting.secret,
+      required: !!setting.required,
+      isSet: value !== '',
+      value: setting.secret ? '' : value,
+      hint: setting.secret && value ? (value.length >= 12 ? `Stored (••••${value.slice(-4)})` : 'Stored') : ''
+    };
+  });
+}
+
+/**
+ * Setup dialog: store the entered settings in Script Properties
+ * A blank secret keeps the stored value; a blank plain setting is cleared
+ */
+function saveSetupSettings(values) {
+  const properties = PropertiesService.getScriptProperties();
+  const saved = [];
+  
+  Object.keys(SCRIPT_SETTINGS).forEach(key => {
+    const value = (values[key] || '').toString().trim();
+    if (value) {
+      properties.setProperty(key, value);
+      saved.push(key);
+    } else if (!SCRIPT_SETTINGS[key].secret) {
+      properties.deleteProperty(key);
+    }
+  });
+  
+  scriptSettings = null;
+  wahaSessionHealth = null;
+  console.log(`🔐 Saved settings: ${saved.join(', ') || 'none'}`);
+  return { ok: true, message: `Saved ${saved.length} setting(s)` };
+}
+
+/**
+ * Check the whole setup: settings, template placeholders and docs, the employee sheet and WAHA
+ * Warnings (e.g. missing translations) don't fail the preflight
+ * Returns { ok, checks: [{ name, ok, warning, icon, detail }] }
+ */
+function runPreflightChecks() {
+  console.log('🛫 Running preflight checks...');
+  const checks = [];
+  const check = (name, ok, detail, warning) => {
+    const icon = !ok ? '❌' : warning ? '⚠️' : '✅';
+    checks.push({ name: name, ok: ok, warning: !!warning, icon: icon, detail: detail });
+    console[!ok ? 'error' : warning ? 'warn' : 'log'](`${icon} ${name}: ${detail}`);
+  };
+  
+  // Settings stored and not left as placeholders
+  const missing = Object.keys(SCRIPT_SETTINGS)
+    .filter(key => SCRIPT_SETTINGS[key].required)
+    .filter(key => !getScriptSetting(key) || isPlaceholder(getScriptSetting(key)));
+  const optional = Object.keys(SCRIPT_SETTINGS).filter(key => !SCRIPT_SETTINGS[key].required && !getScriptSetting(key));
+  check('Settings', missing.length === 0,
+    missing.length ? `Not set: ${missing.join(', ')} - use HR Onboarding → Setup` : `All required settings stored${optional.length ? ` (not set: ${optional.join(', ')})` : ''}`);
+  
+  // Templates used by the sequence steps and enabled yearly events: the default language
+  // doc ID must be set; a missing translation only falls back to the default language
+  const usedBy = {};
+  const addUse = (template, use) => { usedBy[template] = (usedBy[template] || []).concat(use); };
+  loadSequenceSteps(true).forEach(step => addUse(step.template, `step ${step.key}`));
+  Object.values(ANNUAL_EVENTS_CONFIG.EVENTS).filter(event => event.enabled).forEach(event => addUse(event.template, event.label));
+  
+  const docIds = {};
+  const placeholders = [];
+  const untranslated = [];
+  Object.keys(usedBy).forEach(template => {
+    const defaultDocId = resolveTemplateDocId(template, []);
+    if (isPlaceholder(defaultDocId)) placeholders.push(`${template} (${usedBy[template].join(', ')})`);
+    
+    Object.entries(getTemplateVariants(template)).forEach(([language, docId]) => {
+      const label = typeof MESSAGE_TEMPLATES[template] === 'object' ? `${template} [${language}]` : template;
+      if (!isPlaceholder(docId)) {
+        docIds[docId] = label;
+      } else if (docId !== defaultDocId) {
+        untranslated.push(label);
+      }
+    });
+  });
+  check('Template placeholders', placeholders.length === 0,
+    placeholders.length ? `Replace the doc IDs of: ${placeholders.join(', ')}` : `${Object.keys(usedBy).length} templates in use have their doc IDs set`);
+  check('Template translations', true,
+    untranslated.length ? `Not set, sent in ${LANGUAGE_CONFIG.DEFAULT_LANGUAGE} instead: ${untranslated.join(', ')}` : 'Every language variant in use is set',
+    untranslated.length > 0);
+  
+  const unreadable = Object.keys(docIds)
+    .filter(docId => {
+      try {
+        DocumentApp.openById(docId);
+        return false;
+      } catch (error) {
+        return true;
+      }
+    });
+  check('Template docs', unreadable.length === 0,
+    unreadable.length ? `Cannot open: ${unreadable.map(docId => `${docIds[docId]} (${docId})`).join(', ')}` : 'Every template doc opens');
+  
+  // Employee sheet and its columns
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+  if (!sheet) {
+    check('Employee sheet', false, `Sheet "${GOOGLE_SHEET_CONFIG.SHEET_NAME}" not found`);
+  } else {
+    const schema = validateSheetSchema(sheet, loadSequenceSteps(), false);
+    check('Employee sheet', schema.valid, schema.valid ? `"${GOOGLE_SHEET_CONFIG.SHEET_NAME}" has the required columns` : schema.problems.join('; '));
+  }
+  
+  // WAHA accepts the key and has a WORKING session
+  if (missing.some(key => key.indexOf('WAHA_') === 0)) {
+    check('WAHA', false, 'Skipped until the WAHA settings are stored');
+  } else {
+    const health = getSessionHealth(true);
+    const rejected = /status (401|403)/.test(health.error || '');
+    check('WAHA', health.success,
+      health.success ? `Key accepted, sending through ${health.session}` : rejected ? 'WAHA rejected the API key' : health.error);
+  }
+  
+  const ok = checks.every(item => item.ok);
+  console.log(ok ? '🛫 Preflight passed - ready to go live' : `🛑 Preflight found ${checks.filter(item => !item.ok).length} problem(s)`);
+  return { ok: ok, checks: checks };
+}
+
+/**
+ * Setup dialog page
+ */
+function getSetupHtml() {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<base target="_top">
+<style>
+  body { font-family: Arial, sans-serif; font-size: 13px; margin: 8px; color: #202124; }
+  label { display: block; margin-top: 10px; font-weight: bold; }
+  input { width: 100%; box-sizing: border-box; padding: 5px; margin-top: 3px; }
+  .hint { color: #5f6368; font-size: 11px; }
+  button { margin: 14px 6px 0 0; padding: 6px 12px; }
+  #result div { margin-top: 4px; }
+  .ok { color: #188038; } .warn { color: #b06000; } .error { color: #d93025; }
+</style>
+</head>
+<body>
+  <div class="hint">Stored in Script Properties - not visible in the script code. Leave a key blank to keep the stored one.</div>
+  <form id="form"></form>
+  <button onclick="save()">Save</button>
+  <button onclick="preflight()">Run preflight checks</button>
+  <div id="result"></div>
+<script>
+  function line(text, ok, warning) {
+    var div = document.createElement('div');
+    div.className = !ok ? 'error' : warning ? 'warn' : 'ok';
+    div.textContent = text;
+    document.getElementById('result').appendChild(div);
+  }
+  
+  google.script.run.withSuccessHandler(function(settings) {
+    var form = document.getElementById('form');
+    settings.forEach(function(setting) {
+      var label = document.createElement('label');
+      label.textContent = setting.label + (setting.required ? ' *' : '');
+      var input = document.createElement('input');
+      input.name = setting.key;
+      input.type = setting.secret ? 'password' : 'text';
+      input.value = setting.value;
+      input.placeholder = setting.secret ? (setting.hint || 'Not set') : setting.example;
+      var hint = document.createElement('div');
+      hint.className = 'hint';
+      hint.textContent = setting.key + (setting.isSet ? '' : ' - not set');
+      label.appendChild(input);
+      form.appendChild(label);
+      form.appendChild(hint);
+    });
+  }).getSetupState();
+  
+  function save() {
+    var values = {};
+    Array.prototype.forEach.call(document.getElementById('form').elements, function(input) { values[input.name] = input.value; });
+    document.getElementById('result').innerHTML = '';
+    google.script.run
+      .withSuccessHandler(function(result) { line(result.message, result.ok); })
+      .withFailureHandler(function(error) { line(error.message, false); })
+      .saveSetupSettings(values);
+  }
+  
+  function preflight() {
+    document.getElementById('result').innerHTML = '';
+    line('Checking...', true);
+    google.script.run
+      .withSuccessHandler(function(result) {
+        document.getElementById('result').innerHTML = '';
+        result.checks.forEach(function(check) { line(check.icon + ' ' + check.name + ': ' + check.detail, check.ok, check.warning); });
+      })
+      .withFailureHandler(function(error) { line(error.message, false); })
+      .runPreflightChecks();
+  }
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * ========================================
+ * HR MENU & SIDEBAR FUNCTIONS
+ * ========================================
+ * 
+ * onOpen adds an "HR Onboarding" menu to the spreadsheet. Its dashboard
+ * sidebar calls the sidebar* functions below through google.script.run; each
+ * one reuses the automation functions and returns { ok, message, logs } so the
+ * console output appears in the sidebar. Resend and Mark Skipped act on the
+ * employee row selected in the employee sheet.
+ */
+
+/**
+ * Simple trigger - adds the HR Onboarding menu when the spreadsheet opens
+ */
+function onOpen() {
+  SpreadsheetApp.getUi()
+    .createMenu(SIDEBAR_CONFIG.MENU_NAME)
+    .addItem('Open dashboard', 'showSidebar')
+    .addSeparator()
+    .addItem('Run now', 'menuRunNow')
+    .addItem('Preview messages', 'menuPreview')
+    .addItem('Session status', 'menuSessionStatus')
+    .addSeparator()
+    .addItem('Setup...', 'showSetupDialog')
+    .addItem('Preflight checks', 'menuPreflight')
+    .addToUi();
+}
+
+/**
+ * Menu shortcuts - run the sidebar action and show its result in a dialog
+ */
+function menuRunNow() {
+  showActionResult('Run now', sidebarRunNow());
+}
+
+function menuPreview() {
+  showActionResult('Preview', sidebarPreview());
+}
+
+function menuSessionStatus() {
+  const result = sidebarSessionStatus();
+  result.message += '\n\n' + result.sessions.map(session => `${session.name}: ${session.status}`).join('\n');
+  showActionResult('Session status', result);
+}
+
+function menuPreflight() {
+  const result = runSidebarAction(() => {
+    const preflight = runPreflightChecks();
+    return {
+      ok: preflight.ok,
+      message: preflight.checks.map(check => `${check.icon} ${check.name}: ${check.detail}`).join('\n')
+    };
+  });
+  showActionResult('Preflight checks', result);
+}
+
+/**
+ * Show a sidebar action result in an alert dialog
+ */
+function showActionResult(title, result) {
+  SpreadsheetApp.getUi().alert(`${result.ok ? '✅' : '❌'} ${title}`, result.message, SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Open the dashboard sidebar
+ */
+function showSidebar() {
+  const html = HtmlService.createHtmlOutput(getSidebarHtml()).setTitle(SIDEBAR_CONFIG.TITLE);
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Run an action for the sidebar, collecting its console output
+ * Returns the action's { ok, message, ... } with logs added; Dates become strings
+ * because google.script.run can't return them
+ */
+function runSidebarAction(action) {
+  const logs = [];
+  const original = { log: console.log, warn: console.warn, error: console.error };
+  
+  ['log', 'warn', 'error'].forEach(level => {
+    console[level] = function() {
+      original[level].apply(console, arguments);
+      if (logs.length < SIDEBAR_CONFIG.MAX_LOG_LINES) {
+        logs.push(Array.prototype.map.call(arguments, value => typeof value === 'string' ? value : JSON.stringify(value)).join(' '));
+      }
+    };
+  });
+  
+  let result;
+  try {
+    result = action();
+  } catch (error) {
+    original.error('❌ Sidebar action failed:', error.toString());
+    result = { ok: false, message: error.toString() };
+  } finally {
+    Object.assign(console, original);
+  }
+  
+  return JSON.parse(JSON.stringify(Object.assign({ logs: logs }, result)));
+}
+
+/**
+ * Describe an automation run result in one line
+ */
+function describeRunResult(result) {
+  if (!result.success) {
+    return [result.error].concat(result.problems || []).join('\n');
+  }
+  if (result.deferred) {
+    return `${result.reason} - nothing sent, next send slot ${formatScheduleDate(result.nextSendAt)}`;
+  }
+  return `${result.processed} employees processed, ${result.sent} ${result.dryRun ? 'would be sent' : 'sent'}, ${result.errors} errors`;
+}
+
+/**
+ * Sidebar: run the automation now
+ */
+function sidebarRunNow() {
+  return runSidebarAction(() => {
+    const result = checkAndSendMessages();
+    return { ok: result.success, message: describeRunResult(result) };
+  });
+}
+
+/**
+ * Sidebar: dry run, returning the Preview sheet rows that have a milestone
+ */
+function sidebarPreview() {
+  return runSidebarAction(() => {
+    const result = previewMessages();
+    const previewSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PREVIEW_CONFIG.SHEET_NAME);
+    const rows = previewSheet && result.success ? previewSheet.getDataRange().getValues().slice(1) : [];
+    const column = header => PREVIEW_HEADERS.indexOf(header);
+    
+    return {
+      ok: result.success,
+      message: describeRunResult(result),
+      rows: rows
+        .filter(row => row[column('Milestone')])
+        .slice(0, SIDEBAR_CONFIG.MAX_PREVIEW_ROWS)
+        .map(row => ({
+          employee: row[column('Employee')],
+          milestone: row[column('Milestone')],
+          note: row[column('Note')],
+          message: row[column('Rendered Message')]
+        }))
+    };
+  });
+}
+
+/**
+ * Sidebar: the employee row selected in the employee sheet and their milestones
+ * Also returns the operator's saved test number
+ */
+function sidebarGetSelection() {
+  return runSidebarAction(() => {
+    const testPhone = PropertiesService.getUserProperties().getProperty(SIDEBAR_CONFIG.TEST_PHONE_PROPERTY) || '';
+    const selection = getSelectedEmployee(false);
+    if (!selection.ok) {
+      return Object.assign(selection, { testPhone: testPhone });
+    }
+    
+    const employeeInfo = selection.employeeInfo;
+    return {
+      ok: true,
+      message: `Row ${employeeInfo.rowIndex}: ${employeeInfo.name}`,
+      testPhone: testPhone,
+      milestones: getStepsForEmployee(selection.context.steps, employeeInfo).map(step => ({
+        key: step.key,
+        day: step.day,
+        status: employeeInfo.row[findColumnIndex(selection.context.headers, step.statusColumn)] || ''
+      }))
+    };
+  });
+}
+
+/**
+ * Sidebar: send a milestone to the selected employee again
+ * The ledger record is reset in place so the normal send path (retries, fallbacks,
+ * audit) runs as if it had never been sent; if the resend fails, the ledger record
+ * and status cell are put back. Manual resends ignore the send window and catch-up
+ * policy, but never reach Opted Out, Inactive, Left or Paused employees.
+ */
+function sidebarResendMilestone(stepKey) {
+  return runSidebarAction(() => {
+    const lock = acquireRunLock();
+    if (!lock) {
+      return { ok: false, message: 'Another automation run is in progress - try again in a minute' };
+    }
+    
+    try {
+      const selection = getSelectedEmployee(true);
+      if (!selection.ok) return selection;
+      
+      const employeeInfo = selection.employeeInfo;
+      const step = findEmployeeStep(selection.context, employeeInfo, stepKey);
+      if (!step) {
+        return { ok: false, message: `${stepKey} is not in ${employeeInfo.name}'s sequence` };
+      }
+      
+      const blockedStatus = NO_MESSAGE_STATUSES.concat(LIFECYCLE_CONFIG.PAUSED_STATUS)
+        .find(status => isStatus(employeeInfo.status, status));
+      if (blockedStatus) {
+        return { ok: false, message: `${employeeInfo.name} is ${blockedStatus} - nothing can be sent to them` };
+      }
+      
+      const previous = resetMilestone(selection.context, employeeInfo, step);
+      
+      const result = processEmployeeMessages(employeeInfo, step.day, Object.assign({}, selection.context, { steps: [step] }));
+      if (!result.sent) {
+        restoreMilestone(selection.context, employeeInfo, step, previous);
+      }
+      return {
+        ok: !!result.sent,
+        message: result.sent
+          ? `${step.key} sent to ${employeeInfo.name}${result.channel && result.channel !== 'whatsapp' ? ` by ${result.channel}` : ''}`
+          : `${step.key} not sent to ${employeeInfo.name}: ${result.error || result.reason}`
+      };
+      
+    } finally {
+      lock.releaseLock();
+    }
+  });
+}
+
+/**
+ * Sidebar: mark a milestone of the selected employee as skipped so it is never sent
+ */
+function sidebarMarkSkipped(stepKey) {
+  return runSidebarAction(() => {
+    // A run in progress could otherwise still send the milestone from its copy of the row
+    const lock = acquireRunLock();
+    if (!lock) {
+      return { ok: false, message: 'Another automation run is in progress - try again in a minute' };
+    }
+    
+    try {
+      const selection = getSelectedEmployee(true);
+      if (!selection.ok) return selection;
+      
+      const employeeInfo = selection.employeeInfo;
+      const step = findEmployeeStep(selection.context, employeeInfo, stepKey);
+      if (!step) {
+        return { ok: false, message: `${stepKey} is not in ${employeeInfo.name}'s sequence` };
+      }
+      if (employeeInfo.sentMessages.includes(step.key)) {
+        return { ok: false, message: `${step.key} is already sent or skipped for ${employeeInfo.name}` };
+      }
+      
+      markStepSkipped(selection.context, employeeInfo, step, `marked skipped by ${Session.getActiveUser().getEmail() || 'HR'}`, SIDEBAR_CONFIG.SKIPPED_LABEL);
+      return { ok: true, message: `${step.key} marked skipped for ${employeeInfo.name}` };
+      
+    } finally {
+      lock.releaseLock();
+    }
+  });
+}
+
+/**
+ * Sidebar: send the test message to the operator's own number (remembered for next time)
+ */
+function sidebarSendTest(phoneInput) {
+  return runSidebarAction(() => {
+    const phone = normalizePhoneNumber(phoneInput);
+    if (!phone.valid) {
+      return { ok: false, message: phone.error };
+    }
+    
+    PropertiesService.getUserProperties().setProperty(SIDEBAR_CONFIG.TEST_PHONE_PROPERTY, phoneInput);
+    const success = testSingleMessage(phone.phone);
+    return { ok: success, message: success ? `Test message sent to +${phone.phone}` : 'Test message failed - see the log below' };
+  });
+}
+
+/**
+ * Sidebar: WAHA session status, checked afresh
+ */
+function sidebarSessionStatus() {
+  return runSidebarAction(() => {
+    const health = testWAHAConnection();
+    return {
+      ok: health.success,
+      message: health.success ? `Sending through ${health.session}` : health.error,
+      sessions: Object.keys(health.statuses).map(name => ({ name: name, status: health.statuses[name] }))
+    };
+  });
+}
+
+/**
+ * Read the row selected in the employee sheet
+ * Missing status / auto-created columns are only added when createMissing is true -
+ * just showing the selection must not change the sheet
+ * Returns { ok, employeeInfo, context } or { ok: false, message }
+ */
+function getSelectedEmployee(createMissing) {
+  const spreadsheet = SpreadsheetApp.getActiveSpreadsheet();
+  const activeSheet = spreadsheet.getActiveSheet();
+  if (activeSheet.getName() !== GOOGLE_SHEET_CONFIG.SHEET_NAME) {
+    return { ok: false, message: `Select an employee row in the "${GOOGLE_SHEET_CONFIG.SHEET_NAME}" sheet` };
+  }
+  
+  const rowIndex = activeSheet.getActiveRange().getRow();
+  if (rowIndex < 2) {
+    return { ok: false, message: 'Select an employee row, not the header' };
+  }
+  
+  const steps = loadSequenceSteps();
+  const schema = validateSheetSchema(activeSheet, steps, createMissing);
+  if (!schema.valid) {
+    return { ok: false, message: ['Sheet schema validation failed'].concat(schema.problems).join('\n') };
+  }
+  
+  const headers = ensureStatusColumns(activeSheet, steps, createMissing);
+  const employee = activeSheet.getRange(rowIndex, 1, 1, headers.length).getValues()[0];
+  if (!isCompleteEmployeeRow(employee, headers)) {
+    return { ok: false, message: `Row ${rowIndex} is missing a name, phone or join date` };
+  }
+  
+  return {
+    ok: true,
+    employeeInfo: buildEmployeeInfo(employee, rowIndex, headers),
+    context: createRunContext(activeSheet, headers, steps, false)
+  };
+}
+
+/**
+ * Find one of the employee's sequence steps by key
+ */
+function findEmployeeStep(context, employeeInfo, stepKey) {
+  return getStepsForEmployee(context.steps, employeeInfo).find(step => step.key === stepKey) || null;
+}
+
+/**
+ * Reset a milestone so it can be sent again
+ * The ledger record is reset in place (webhooks write to ledger rows by index, so rows
+ * are never deleted) and the step is dropped from this run's Sent Messages only -
+ * the status cell and Sent Messages column keep their values until the resend succeeds.
+ * Returns what restoreMilestone needs to undo the reset
+ */
+function resetMilestone(context, employeeInfo, step) {
+  const key = getDeliveryKey(employeeInfo.phone, step.key);
+  const delivery = findDeliveryRecord(key, context.deliveries);
+  const statusCell = context.sheet.getRange(employeeInfo.rowIndex, step.statusColumnIndex + 1);
+  const previous = {
+    record: delivery ? delivery.record : null,
+    status: statusCell.getValue(),
+    background: statusCell.getBackground(),
+    note: statusCell.getNote()
+  };
+  
+  if (delivery) {
+    saveDeliveryRecord(key, { state: '', attempts: 0, lastError: '', nextAttemptAt: '' }, context.deliveries);
+  }
+  employeeInfo.sentMessages = employeeInfo.sentMessages.filter(sentKey => sentKey !== step.key);
+  
+  console.log(`🔁 Reset ${step.key} for ${employeeInfo.name} for a manual resend`);
+  return previous;
+}
+
+/**
+ * Put a milestone's ledger record and status cell back after a failed manual resend
+ */
+function restoreMilestone(context, employeeInfo, step, previous) {
+  if (previous.record) {
+    const fields = Object.assign({}, previous.record);
+    delete fields.key;
+    saveDeliveryRecord(previous.record.key, fields, context.deliveries);
+  }
+  
+  context.sheet.getRange(employeeInfo.rowIndex, step.statusColumnIndex + 1)
+    .setValue(previous.status)
+    .setBackground(previous.background)
+    .setNote(previous.note);
+  
+  console.log(`↩️ Restored ${step.key} for ${employeeInfo.name} after the failed resend`);
+}
+
+/**
+ * Sidebar page - plain HTML and JavaScript talking to the sidebar* functions
+ */
+function getSidebarHtml() {
+  return `<!DOCTYPE html>
+<html>
+<head>
+<base target="_top">
+<style>
+  body { font-family: Arial, sans-serif; font-size: 13px; margin: 12px; color: #202124; }
+  h3 { font-size: 13px; margin: 16px 0 6px; }
+  button { margin: 2px 4px 2px 0; padding: 5px 10px; cursor: pointer; }
+  button:disabled { cursor: wait; }
+  select, input { width: 100%; box-sizing: border-box; margin: 4px 0; padding: 4px; }
+  #message { margin-top: 12px; padding: 8px; border-radius: 4px; white-space: pre-wrap; display: none; }
+  #message.ok { background: #e6f4ea; display: block; }
+  #message.error { background: #fce8e6; display: block; }
+  #details div { border-bottom: 1px solid #eee; padding: 4px 0; }
+  #logs { background: #f8f9fa; font-size: 11px; max-height: 260px; overflow: auto; white-space: pre-wrap; padding: 6px; }
+  .muted { color: #5f6368; }
+</style>
+</head>
+<body>
+  <h3>Automation</h3>
+  <button onclick="call('sidebarRunNow')">Run now</button>
+  <button onclick="call('sidebarPreview')">Preview</button>
+  <button onclick="call('sidebarSessionStatus')">Session status</button>
+  
+  <h3>Selected employee</h3>
+  <div id="selection" class="muted">Select a row in the employee sheet, then refresh.</div>
+  <select id="milestone"></select>
+  <button onclick="loadSelection()">Refresh selection</button>
+  <button onclick="callForMilestone('sidebarResendMilestone', 'Resend')">Resend milestone</button>
+  <button onclick="callForMilestone('sidebarMarkSkipped', 'Mark skipped')">Mark skipped</button>
+  
+  <h3>Test message</h3>
+  <input id="testPhone" placeholder="Your WhatsApp number, e.g. +91 98765 43210">
+  <button onclick="call('sidebarSendTest', document.getElementById('testPhone').value)">Send test to myself</button>
+  
+  <div id="message"></div>
+  <div id="details"></div>
+  <h3>Log</h3>
+  <div id="logs" class="muted"></div>
+
+<script>
+  function setBusy(busy) {
+    document.querySelectorAll('button').forEach(function(button) { button.disabled = busy; });
+    if (busy) show({ ok: true, message: 'Working...', logs: [] });
+  }
+  
+  function show(result) {
+    var message = document.getElementById('message');
+    message.className = result.ok ? 'ok' : 'error';
+    message.textContent = result.message || '';
+    document.getElementById('logs').textContent = (result.logs || []).join('\\n');
+    
+    var details = document.getElementById('details');
+    details.innerHTML = '';
+    (result.rows || []).forEach(function(row) {
+      addDetail(details, row.employee + ' - ' + row.milestone + ': ' + (row.note || ''), row.message);
+    });
+    (result.sessions || []).forEach(function(session) {
+      addDetail(details, session.name + ': ' + session.status);
+    });
+  }
+  
+  function addDetail(container, text, title) {
+    var line = document.createElement('div');
+    line.textContent = text;
+    if (title) line.title = title;
+    container.appendChild(line);
+  }
+  
+  function call(name) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    setBusy(true);
+    var runner = google.script.run
+      .withSuccessHandler(function(result) { setBusy(false); show(result); if (name !== 'sidebarGetSelection') loadSelection(true); })
+      .withFailureHandler(function(error) { setBusy(false); show({ ok: false, message: error.message }); });
+    runner[name].apply(runner, args);
+  }
+  
+  function callForMilestone(name, label) {
+    var key = document.getElementById('milestone').value;
+    if (!key) return show({ ok: false, message: 'Refresh the selection and pick a milestone first' });
+    if (confirm(label + ' ' + key + ' for ' + document.getElementById('selection').textContent + '?')) call(name, key);
+  }
+  
+  function loadSelection(quiet) {
+    google.script.run.withSuccessHandler(function(result) {
+      document.getElementById('selection').textContent = result.message;
+      if (result.testPhone && !document.getElementById('testPhone').value) {
+        document.getElementById('testPhone').value = result.testPhone;
+      }
+      var select = document.getElementById('milestone');
+      var current = select.value;
+      select.innerHTML = '';
+      (result.milestones || []).forEach(function(milestone) {
+        var option = document.createElement('option');
+        option.value = milestone.key;
+        option.textContent = milestone.key + ' (day ' + milestone.day + ')' + (milestone.status ? ' - ' + milestone.status : '');
+        select.appendChild(option);
+      });
+      if (current) select.value = current;
+      if (!quiet && !result.ok) show(result);
+    }).sidebarGetSelection();
+  }
+  
+  loadSelection(true);
+</script>
+</body>
+</html>`;
+}
+
+/**
+ * ========================================
+ * TESTING & UTILITY FUNCTIONS
  * ========================================
  */
 
 /**
  * Test message sending with a single employee
  * Use this function to test your setup before running automation
+ * The sidebar passes the operator's own number as phone
  */
-function testSingleMessage() {
+function testSingleMessage(phone) {
   console.log('🧪 Testing single WhatsApp message...');
   
   const TEST_CONFIG = {
@@ -422,7 +5694,8 @@ function testSingleMessage() {
     message: 'Hello {name}, this is a test message from the HR Onboarding Bot! 🤖'
   };
   
-  const success = sendWhatsAppMessage(TEST_CONFIG.phone, TEST_CONFIG.message, TEST_CONFIG.name);
+  const messageText = renderTemplate(TEST_CONFIG.message, { name: TEST_CONFIG.name });
+  const success = sendWhatsAppMessage(phone || TEST_CONFIG.phone, messageText).success;
   
   if (success) {
     console.log('✅ Test message sent successfully!');
@@ -437,65 +5710,102 @@ function testSingleMessage() {
  * Process only employees who joined today
  * Useful for immediate welcome messages
  */
-function processNewHiresToday() {
-  console.log('👋 Processing new hires for today...');
+function processNewHiresToday(options) {
+  const dryRun = !!(options && options.dryRun === true);
+  console.log(dryRun ? '👋 Previewing new hires for today...' : '👋 Processing new hires for today...');
+  
+  const lock = dryRun ? null : acquireRunLock();
+  if (!dryRun && !lock) {
+    return 0;
+  }
   
   try {
+    const sendWindow = checkSendWindow(new Date());
+    if (!sendWindow.allowed && !dryRun) {
+      console.log(`🌙 ${sendWindow.reason} - welcome messages held until ${formatScheduleDate(sendWindow.nextSendAt)}`);
+      return 0;
+    }
+    
     const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GOOGLE_SHEET_CONFIG.SHEET_NAME);
+    const steps = loadSequenceSteps();
+    
+    const schema = validateSheetSchema(sheet, steps, !dryRun);
+    if (!schema.valid) {
+      return 0;
+    }
+    
+    const headers = ensureStatusColumns(sheet, steps, !dryRun);
+    const context = createRunContext(sheet, headers, steps, dryRun);
     const employeeData = sheet.getDataRange().getValues();
     const today = new Date();
-    today.setHours(0, 0, 0, 0);
     
     let processedToday = 0;
     
     for (let i = 1; i < employeeData.length; i++) {
       const employee = employeeData[i];
       
-      if (!employee[SHEET_COLUMNS.NAME] || !employee[SHEET_COLUMNS.PHONE] || !employee[SHEET_COLUMNS.JOIN_DATE]) {
+      if (!isCompleteEmployeeRow(employee, headers)) {
         continue;
       }
       
-      const joinDate = new Date(employee[SHEET_COLUMNS.JOIN_DATE]);
-      joinDate.setHours(0, 0, 0, 0);
+      const joinDate = new Date(getEmployeeCell(employee, headers, 'JOIN_DATE'));
       
-      // Check if employee joined today
-      if (joinDate.getTime() === today.getTime()) {
-        const employeeInfo = {
-          name: employee[SHEET_COLUMNS.NAME],
-          phone: formatPhoneForWhatsApp(employee[SHEET_COLUMNS.PHONE]),
-          sentMessages: employee[SHEET_COLUMNS.SENT_MESSAGE] || '',
-          type: employee[SHEET_COLUMNS.TYPE] || 'Salon'
-        };
+      // Check if employee joined today (in the company timezone)
+      if (calendarDaysBetween(joinDate, today) === 0) {
+        const employeeInfo = buildEmployeeInfo(employee, i + 1, headers);
         
-        // Send welcome message if not already sent
-        if (!employeeInfo.sentMessages.includes('day0')) {
-          const messageTemplateKey = employeeInfo.type.toLowerCase() === 'salon' ? 'salon_day0' : 'backoffice_day0';
-          const messageContent = getMessageTemplate(MESSAGE_TEMPLATES[messageTemplateKey]);
-          
-          if (messageContent) {
-            const success = sendWhatsAppMessage(employeeInfo.phone, messageContent, employeeInfo.name);
-            
-            if (success) {
-              // Update sheet with welcome message status
-              updateEmployeeRecord(sheet, i + 1, { column: 'MESSAGE0', key: 'day0' }, true);
-              processedToday++;
-              console.log(`✅ Welcome message sent to ${employeeInfo.name}`);
-              Utilities.sleep(2000);
-            }
+        const schedule = resolveEmployeeSchedule(context, employeeInfo, today);
+        if (schedule.skip || employeeInfo.track !== 'onboarding') {
+          console.log(`⏭️ Skipping ${employeeInfo.name}: ${schedule.reason || `status is ${employeeInfo.status}`}`);
+          continue;
+        }
+        
+        // Send the Day 0 step of the employee's sequence if not already sent
+        const result = processEmployeeMessages(employeeInfo, 0, context);
+        addPreviewRow(context, employeeInfo, result);
+        syncCohortMembership(employeeInfo, context);
+        
+        if (result.sent) {
+          processedToday++;
+          if (!dryRun) {
+            console.log(`✅ Welcome message sent to ${employeeInfo.name}`);
+            Utilities.sleep(2000);
           }
         }
       }
     }
     
+    if (dryRun) {
+      writePreviewSheet(context);
+    }
+    
     console.log(`📊 Processed ${processedToday} new hires today`);
     return processedToday;
     
   } catch (error) {
     console.error('❌ Error processing new hires:', error.toString());
     return 0;
+  } finally {
+    if (lock) lock.releaseLock();
   }
 }
 
+/**
+ * Preview what checkAndSendMessages() would send, without sending anything
+ * Results are written to the Preview sheet
+ */
+function previewMessages() {
+  return checkAndSendMessages({ dryRun: true });
+}
+
+/**
+ * Preview today's welcome messages, without sending anything
+ * Results are written to the Preview sheet
+ */
+function previewNewHiresToday() {
+  return processNewHiresToday({ dryRun: true });
+}
+
 /**
  * Manual trigger function for Google Apps Script
  * Run this function manually to start the automation
@@ -508,10 +5818,11 @@ function runHRAutomation() {
 /**
  * Sheet edit trigger - automatically runs when Google Sheet is edited
  * Set up as an installable trigger in Google Apps Script
+ * Edits are debounced: one run starts after the sheet has been quiet for LOCK_CONFIG.DEBOUNCE_SECONDS
  */
 function onSheetEdit(event) {
   try {
-    console.log('📝 Sheet edit detected, starting automation check...');
+    console.log('📝 Sheet edit detected, scheduling automation check...');
     
     // Verify edit was in target sheet
     if (event && event.source && event.source.getActiveSheet().getName() !== GOOGLE_SHEET_CONFIG.SHEET_NAME) {
@@ -519,15 +5830,9 @@ function onSheetEdit(event) {
       return;
     }
     
-    // Small delay to ensure data is saved
-    Utilities.sleep(3000);
-    
-    // Run automation check
-    checkAndSendMessages();
+    scheduleDebouncedRun();
     
   } catch (error) {
     console.error('❌ Error in sheet edit trigger:', error.toString());
-    // Fallback: run automation anyway
-    checkAndSendMessages();
   }
 }